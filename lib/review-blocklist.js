@@ -0,0 +1,26 @@
+// Matches reviews against the words in data/review-blocklist.json. Words typed in Latin letters only
+// match as whole words, so "shit" doesn't hold "Shital" and "lauda" doesn't hold "laudable"; their
+// inflections ("fucking", "bitches") are listed in the file. Telugu and Hindi script words match
+// anywhere, since those scripts attach endings to the word.
+const REVIEW_BLOCKLIST = require('../data/review-blocklist.json');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeReviewText = (text) => String(text || '').normalize('NFKC').toLowerCase();
+
+const BLOCKED_REVIEW_WORDS = Object.values(REVIEW_BLOCKLIST.words).flat().map(word => {
+    const pattern = escapeRegex(normalizeReviewText(word)).replace(/\s+/g, '\\s+');
+    return {
+        word,
+        pattern: /^[\x00-\x7f]+$/.test(word) ? new RegExp(`(^|[^a-z])${pattern}($|[^a-z])`) : new RegExp(pattern)
+    };
+});
+
+// The first blocked word in the text, or null.
+function findBlockedWord(text) {
+    const normalized = normalizeReviewText(text);
+    const match = BLOCKED_REVIEW_WORDS.find(({ pattern }) => pattern.test(normalized));
+    return match ? match.word : null;
+}
+
+module.exports = { findBlockedWord, normalizeReviewText };
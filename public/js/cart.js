@@ -0,0 +1,209 @@
+// The shopping cart. Pages read and change it only through this module.
+//
+// The cart lives in localStorage as [{ id, variantId, inCart, quantity }], so it survives reloads and
+// is shared between tabs. Once the customer logs in it is also saved on the server (/api/cart), so it
+// follows them to other devices: every change is pushed there, and syncCart() pulls the saved cart
+// back, checked against current prices and stock.
+import { ApiError, getCustomerSession, getAuthHeaders } from './data.js';
+
+const CART_STORAGE_KEY = 'goshalaProducts';
+// The customer whose saved cart this browser's cart mirrors. A different (or first) login merges
+// the two carts instead of replacing this one.
+const CART_OWNER_KEY = 'goshalaCartOwner';
+// Set when the cart changed and the server hasn't been sent the change yet (logged out or offline).
+const CART_UNSYNCED_KEY = 'goshalaCartUnsynced';
+const PUSH_DELAY_MS = 800;
+
+let pushTimer = null;
+
+/**
+ * The lines in the cart.
+ * @returns {Array<{id: number, variantId: string|null, quantity: number}>}
+ */
+export function getCartLines() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CART_STORAGE_KEY)) || [];
+        if (!Array.isArray(stored)) return [];
+        return stored
+            .filter(item => item && item.inCart !== false && Number.isInteger(item.id))
+            .map(item => ({ id: item.id, variantId: item.variantId || null, quantity: item.quantity || 1 }));
+    } catch (error) {
+        console.error('Failed to parse cart from localStorage:', error);
+        return [];
+    }
+}
+
+/**
+ * How many different products are in the cart, as shown on the header badge.
+ * @returns {number}
+ */
+export function getCartCount() {
+    return getCartLines().length;
+}
+
+function writeCartLines(lines) {
+    const cartState = lines.map(({ id, variantId, quantity }) => ({ id, variantId: variantId || null, inCart: true, quantity }));
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cartState));
+}
+
+/**
+ * Replaces the cart and saves it to the server when the customer is logged in.
+ * @param {Array} lines - [{ id, variantId, quantity }], one per product.
+ */
+export function setCartLines(lines) {
+    writeCartLines(lines);
+    schedulePush();
+}
+
+/**
+ * Saves the cart state of the products a page has loaded. Lines for products the page hasn't
+ * loaded (other filters or pages) are kept.
+ * @param {Array} products - Products with cart state applied ({ id, inCart, quantity, variantId }).
+ */
+export function saveCartFromProducts(products) {
+    const loadedIds = new Set(products.map(p => p.id));
+    setCartLines([
+        ...getCartLines().filter(line => !loadedIds.has(line.id)),
+        ...products
+            .filter(p => p.inCart)
+            .map(({ id, variantId, quantity }) => ({ id, variantId, quantity: quantity || 1 }))
+    ]);
+}
+
+/**
+ * Adds lines to the cart. A product already in the cart with the same pack size gets the
+ * quantities added together; with a different pack size the new line replaces it.
+ * @param {Array} lines - [{ id, variantId, quantity }].
+ */
+export function addToCart(lines) {
+    const cart = new Map(getCartLines().map(line => [line.id, line]));
+    for (const line of lines) {
+        const existing = cart.get(line.id);
+        const variantId = line.variantId || null;
+        cart.set(line.id, existing && existing.variantId === variantId
+            ? { ...existing, quantity: existing.quantity + line.quantity }
+            : { id: line.id, variantId, quantity: line.quantity });
+    }
+    setCartLines([...cart.values()]);
+}
+
+/**
+ * Empties the cart here and on the server, e.g. once an order is placed.
+ */
+export function clearCart() {
+    clearTimeout(pushTimer);
+    writeCartLines([]);
+    const changedAt = markUnsynced();
+    if (!getCustomerSession()) return;
+    // keepalive lets the request finish when the page navigates away right after, as checkout does.
+    fetch('/api/cart', { method: 'DELETE', headers: getAuthHeaders(), keepalive: true })
+        .then(response => {
+            if (response.ok) clearUnsynced(changedAt);
+        })
+        .catch(error => console.error('Failed to clear the saved cart:', error));
+}
+
+/**
+ * Calls back when the cart is changed in another tab.
+ * @param {function(): void} callback
+ */
+export function onCartChange(callback) {
+    window.addEventListener('storage', (event) => {
+        if (event.key === CART_STORAGE_KEY) callback();
+    });
+}
+
+// Marked before anything is sent, so a change made just before leaving the page still reaches the
+// server on the next sync. Returns the mark, to clear it once the change is saved.
+function markUnsynced() {
+    const changedAt = String(Date.now());
+    localStorage.setItem(CART_UNSYNCED_KEY, changedAt);
+    return changedAt;
+}
+
+// A later change keeps the mark until its own push.
+function clearUnsynced(changedAt) {
+    if (localStorage.getItem(CART_UNSYNCED_KEY) === changedAt) localStorage.removeItem(CART_UNSYNCED_KEY);
+}
+
+function schedulePush() {
+    const changedAt = markUnsynced();
+    const session = getCustomerSession();
+    if (!session || localStorage.getItem(CART_OWNER_KEY) !== session.identifier) return;
+
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(() => {
+        cartRequest('PUT', '/api/cart', getCartLines())
+            .then(() => clearUnsynced(changedAt))
+            .catch(error => console.error('Failed to save the cart:', error));
+    }, PUSH_DELAY_MS);
+}
+
+async function cartRequest(method, url, items) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: items ? JSON.stringify({ items }) : undefined
+    });
+    const result = await response.json();
+    if (!response.ok) throw new ApiError(result.error || 'Failed to update the cart.');
+    return result;
+}
+
+/**
+ * Brings the cart up to date with the server and the catalog; call it when a page loads and right
+ * after logging in. A logged-in customer's first sync on this browser merges this cart into their
+ * saved one; after that the saved cart is pulled, unless there are changes here it hasn't seen.
+ * Guests' carts are only checked. Products that are gone or out of stock are removed, quantities
+ * lowered to the stock left and the cart stored here again.
+ * @returns {Promise<object>} { items, changes, subtotal }, where `items` carry the current name,
+ *   image, price and stock and `changes` lists what was adjusted as
+ *   { id, variantId, name, type: 'removed'|'out_of_stock'|'quantity_reduced'|'price_changed', from, to }.
+ *   Resolves with an empty list of changes and the local lines if the server can't be reached.
+ */
+export async function syncCart() {
+    clearTimeout(pushTimer);
+    const session = getCustomerSession();
+    const localLines = getCartLines();
+    try {
+        let cart;
+        if (!session) {
+            cart = localLines.length > 0
+                ? await cartRequest('POST', '/api/cart/check', localLines)
+                : { items: [], changes: [], subtotal: 0 };
+        } else if (localStorage.getItem(CART_OWNER_KEY) !== session.identifier) {
+            cart = await cartRequest('POST', '/api/cart/merge', localLines);
+            localStorage.setItem(CART_OWNER_KEY, session.identifier);
+        } else if (localStorage.getItem(CART_UNSYNCED_KEY)) {
+            cart = await cartRequest('PUT', '/api/cart', localLines);
+        } else {
+            cart = await cartRequest('GET', '/api/cart');
+        }
+        if (session) localStorage.removeItem(CART_UNSYNCED_KEY);
+
+        const changed = cart.items.length !== localLines.length || cart.items.some(item => {
+            const line = localLines.find(l => l.id === item.id);
+            return !line || line.variantId !== item.variantId || line.quantity !== item.quantity;
+        });
+        if (changed) writeCartLines(cart.items);
+        return cart;
+    } catch (error) {
+        console.error('Failed to sync the cart:', error);
+        return { items: localLines, changes: [], subtotal: null };
+    }
+}
+
+/**
+ * A sentence describing a cart change from syncCart(), for showing to the customer.
+ * @param {object} change
+ * @returns {string}
+ */
+export function describeCartChange(change) {
+    const name = change.name || 'An item';
+    switch (change.type) {
+        case 'out_of_stock': return `${name} is out of stock and was removed from your cart.`;
+        case 'quantity_reduced': return `Only ${change.to} of ${name} left in stock, so your cart now has ${change.to} instead of ${change.from}.`;
+        case 'price_changed': return `The price of ${name} changed from ₹${change.from} to ₹${change.to}.`;
+        default: return `${name} is no longer available and was removed from your cart.`;
+    }
+}
@@ -1,3 +1,5 @@
+import { getCartLines } from './cart.js';
+
 // A constant for cache duration improves readability and maintainability.
 const CACHE_DURATION_MS = 5000;
 
@@ -8,13 +10,16 @@ export class ApiError extends Error {
     constructor(message) { super(message); this.name = 'ApiError'; }
 }
 
+// Tracked products at or below this level show an "only N left" notice.
+export const LOW_STOCK_THRESHOLD = 5;
+
 let cachedProducts = [];
 let lastFetchTime = 0;
 // Store the in-flight promise to prevent race conditions.
 let inFlightFetch = null;
 
 /**
- * Fetches products from the API and applies cart state from localStorage.
+ * Fetches products from the API and applies the cart state.
  * @param {boolean} forceReload - If true, bypasses the cache and fetches fresh data.
  * @returns {Promise<Array>} A promise that resolves to the array of products.
  */
@@ -69,21 +74,12 @@ export async function loadProducts(forceReload = false) {
 }
 
 /**
- * Merges the cart state from localStorage into the products list.
+ * Merges the cart state into the products list.
  * @param {Array} products - The array of product objects from the API.
- * @returns {Array} The products array with 'inCart' and 'quantity' properties updated.
+ * @returns {Array} The products array with 'inCart', 'quantity' and 'variantId' properties updated.
  */
 function applyCartState(products) {
-    // Use a default empty array to prevent errors if localStorage item is null.
-    let cartMap = new Map();
-    try {
-        const storedCart = JSON.parse(localStorage.getItem('goshalaProducts')) || [];
-        if (Array.isArray(storedCart)) {
-            cartMap = new Map(storedCart.map(item => [item.id, item]));
-        }
-    } catch (error) {
-        console.error("Failed to parse cart from localStorage:", error);
-    }
+    const cartMap = new Map(getCartLines().map(line => [line.id, line]));
 
     // Return a new array to avoid modifying the cache directly.
     return products.map(product => {
@@ -92,10 +88,78 @@ function applyCartState(products) {
             ...product,
             inCart: !!cartItem,
             quantity: cartItem?.quantity || 0,
+            variantId: cartItem?.variantId || null,
         };
     });
 }
 
+function describeStock(stock) {
+    if (typeof stock !== 'number') {
+        return { isOutOfStock: false, isLowStock: false, remaining: null };
+    }
+    return {
+        isOutOfStock: stock <= 0,
+        isLowStock: stock > 0 && stock <= LOW_STOCK_THRESHOLD,
+        remaining: stock,
+    };
+}
+
+/**
+ * Returns the variant (pack size) a product's cart line refers to. Falls back to the
+ * first in-stock variant when none is chosen yet. Products without variants return null.
+ * @param {object} product - A product object with cart state applied.
+ * @returns {object|null} The variant, with its `_id`, `label`, `price` and `stock`.
+ */
+export function getSelectedVariant(product) {
+    const variants = product.variants || [];
+    if (variants.length === 0) return null;
+    return variants.find(v => v._id === product.variantId)
+        || variants.find(v => !describeStock(v.stock).isOutOfStock)
+        || variants[0];
+}
+
+/**
+ * The price of one unit of the product's selected variant, or of the product itself.
+ * @param {object} product - A product object with cart state applied.
+ * @returns {number}
+ */
+export function getUnitPrice(product) {
+    const variant = getSelectedVariant(product);
+    return variant ? variant.price : product.price;
+}
+
+/**
+ * The struck-through M.R.P. for the product's selected variant, if any.
+ * @param {object} product - A product object with cart state applied.
+ * @returns {number|undefined}
+ */
+export function getOriginalPrice(product) {
+    const variant = getSelectedVariant(product);
+    return variant ? variant.originalPrice : product.originalPrice;
+}
+
+/**
+ * Describes a product's availability for display. Stock is read from the selected
+ * variant when the product has variants. A non-numeric `stock` means it is not
+ * stock-tracked and is always available.
+ * @param {object} product - A product object from the API.
+ * @returns {{isOutOfStock: boolean, isLowStock: boolean, remaining: number|null}}
+ */
+export function getStockStatus(product) {
+    const variant = getSelectedVariant(product);
+    return describeStock((variant || product).stock);
+}
+
+/**
+ * Whether one more unit of the product can be added to the cart.
+ * @param {object} product - A product object with cart state applied.
+ * @returns {boolean}
+ */
+export function canAddMore(product) {
+    const { remaining } = getStockStatus(product);
+    return remaining === null || (product.quantity || 0) < remaining;
+}
+
 /**
  * Fetches a single product by its ID from the API and applies cart state.
  * @param {number} productId - The legacy ID of the product.
@@ -123,31 +187,78 @@ export async function loadProductById(productId) {
     }
 }
 
+let categoryTreePromise = null;
+
+/**
+ * Fetches the category tree once per page load.
+ * @returns {Promise<Array>} Top-level categories in display order, each
+ *   { id, name, slug, description, image, parent, children: [...] }.
+ */
+export function getCategoryTree() {
+    if (!categoryTreePromise) {
+        categoryTreePromise = fetch('/api/categories').then(response => {
+            if (!response.ok) throw new ApiError(`Failed to fetch categories. Status: ${response.status}`);
+            return response.json();
+        }).catch(error => {
+            // Let the next call try again.
+            categoryTreePromise = null;
+            throw error;
+        });
+    }
+    return categoryTreePromise;
+}
+
 /**
- * Fetches all reviews for a specific product from the API.
+ * Finds a category in the tree and the categories above it.
+ * @param {Array} tree - From getCategoryTree().
+ * @param {function(object): boolean} matches - Picks the category, e.g. by id or slug.
+ * @returns {Array} The path from the top-level category down to the match, or [] if none matches.
+ */
+export function findCategoryPath(tree, matches) {
+    for (const category of tree) {
+        if (matches(category)) return [category];
+        const path = findCategoryPath(category.children || [], matches);
+        if (path.length > 0) return [category, ...path];
+    }
+    return [];
+}
+
+// Maps a review from the API to the fields the pages use.
+function toReview(review) {
+    return {
+        id: review._id,
+        author: review.username,
+        comment: review.comment,
+        rating: review.rating,
+        date: review.createdAt,
+        helpfulCount: review.helpfulCount || 0,
+        notHelpfulCount: review.notHelpfulCount || 0,
+        verifiedPurchase: review.verifiedPurchase || false,
+        photos: review.photos || []
+    };
+}
+
+/**
+ * Fetches one page of a product's reviews from the API.
  * @param {number} productId - The legacy ID of the product.
- * @returns {Promise<Array>} A promise that resolves to an array of review objects formatted for the frontend.
+ * @param {object} [options] - { page, limit, sort, stars }: `sort` is newest, oldest, highest, lowest
+ *   or helpful, and `stars` limits the reviews to one star rating.
+ * @returns {Promise<object>} { reviews, totalReviews, totalPages, currentPage }, with the reviews
+ *   formatted for the frontend.
  */
-export async function getReviewsForProduct(productId) {
+export async function getReviewsForProduct(productId, { page = 1, limit = 10, sort = 'newest', stars = null } = {}) {
     if (!productId) {
         throw new Error("Product ID is required to fetch reviews.");
     }
     try {
-        const response = await fetch(`/api/comments/${productId}`);
+        const params = new URLSearchParams({ page, limit, sort });
+        if (stars) params.set('stars', stars);
+        const response = await fetch(`/api/comments/${productId}?${params}`);
         if (!response.ok) {
             throw new ApiError(`Failed to fetch reviews for product ${productId}. Status: ${response.status}`);
         }
-        const reviews = await response.json();
-        // Map backend fields to frontend-expected fields
-        return reviews.map(review => ({
-            id: review._id,
-            author: review.username,
-            comment: review.comment,
-            rating: review.rating,
-            date: review.createdAt,
-            helpfulCount: 0, // Default value, as it's not stored in the backend
-            verifiedPurchase: review.verifiedPurchase || false
-        }));
+        const result = await response.json();
+        return { ...result, reviews: result.reviews.map(toReview) };
     } catch (error) {
         console.error(`Could not fetch reviews for product ${productId}:`, error);
         throw error;
@@ -155,15 +266,85 @@ export async function getReviewsForProduct(productId) {
 }
 
 /**
- * Submits a new review for a product to the API.
+ * Fetches a product's rating summary.
+ * @param {number} productId - The legacy ID of the product.
+ * @returns {Promise<object>} { averageRating, totalReviews, counts }, where `counts` maps each star
+ *   rating (1-5) to its number of reviews.
+ */
+export async function getReviewSummary(productId) {
+    const response = await fetch(`/api/comments/${productId}/summary`);
+    if (!response.ok) {
+        throw new ApiError(`Failed to fetch the review summary for product ${productId}. Status: ${response.status}`);
+    }
+    return response.json();
+}
+
+const VISITOR_ID_KEY = 'goshalaVisitorId';
+const REVIEW_VOTES_KEY = 'goshalaReviewVotes';
+
+// A random id for this browser, so a guest's votes on reviews are counted once.
+function getVisitorId() {
+    let visitorId = localStorage.getItem(VISITOR_ID_KEY);
+    if (!visitorId) {
+        visitorId = crypto.randomUUID();
+        localStorage.setItem(VISITOR_ID_KEY, visitorId);
+    }
+    return visitorId;
+}
+
+function getStoredReviewVotes() {
+    try {
+        return JSON.parse(localStorage.getItem(REVIEW_VOTES_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * The vote this browser gave a review, to show the buttons pressed.
+ * @param {string} reviewId
+ * @returns {'helpful'|'not_helpful'|null}
+ */
+export function getReviewVote(reviewId) {
+    return getStoredReviewVotes()[reviewId] || null;
+}
+
+/**
+ * Votes a review helpful or not helpful, replacing this reader's earlier vote.
+ * @param {string} reviewId
+ * @param {'helpful'|'not_helpful'|null} vote - null takes the vote back.
+ * @returns {Promise<object>} { vote, helpfulCount, notHelpfulCount } after the vote.
+ */
+export async function voteOnReview(reviewId, vote) {
+    const response = await fetch(`/api/reviews/${reviewId}/vote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: JSON.stringify({ vote, visitorId: getVisitorId() })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new ApiError(result.error || 'Failed to record your vote.');
+
+    const votes = getStoredReviewVotes();
+    if (result.vote) votes[reviewId] = result.vote;
+    else delete votes[reviewId];
+    localStorage.setItem(REVIEW_VOTES_KEY, JSON.stringify(votes));
+    return result;
+}
+
+/**
+ * Submits a new review for a product to the API. It gets the "Verified Purchase" badge when the
+ * reviewer names an order of the product with the email or phone number it was placed with, or is
+ * logged in and has ordered the product.
  * @param {number} productId - The legacy ID of the product.
- * @param {object} reviewData - The review data, containing { author, rating, comment }.
- * @returns {Promise<object>} A promise that resolves to the newly saved review object.
+ * @param {object} reviewData - The review data, containing { author, rating, comment } and
+ *   optionally { orderId, contact } and `photos` from uploadReviewPhoto().
+ * @returns {Promise<object>} A promise that resolves to the newly saved review object. Its `status`
+ *   is 'pending' when the review was held for an admin to check.
  */
 export async function submitReview(productId, reviewData) {
     const response = await fetch(`/api/products/${productId}/reviews`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
         body: JSON.stringify({ user: reviewData.author, ...reviewData })
     });
 
@@ -175,12 +356,339 @@ export async function submitReview(productId, reviewData) {
     // The backend returns { newComment, newRating, newReviewsCount }, we only need the comment part for instant display.
     const newComment = result.newComment;
     return {
-        id: newComment._id,
-        author: newComment.username,
-        comment: newComment.comment,
-        rating: newComment.rating,
-        date: newComment.createdAt,
-        helpfulCount: 0,
-        verifiedPurchase: newComment.verifiedPurchase || false
+        ...toReview(newComment),
+        // 'pending' when the review was held for moderation and isn't shown yet.
+        status: newComment.status
     };
-}
\ No newline at end of file
+}
+
+/** The most photos one review can have, and the largest photo accepted (same as the server). */
+export const REVIEW_PHOTO_LIMIT = 3;
+export const REVIEW_PHOTO_MAX_BYTES = 3 * 1024 * 1024;
+
+/**
+ * Uploads a photo for a review that is about to be submitted.
+ * @param {File} file - A JPEG, PNG or WebP image of at most REVIEW_PHOTO_MAX_BYTES.
+ * @returns {Promise<{url: string, token: string}>} Pass it to submitReview() in `photos`.
+ */
+export async function uploadReviewPhoto(file) {
+    const formData = new FormData();
+    formData.append('photo', file);
+    const response = await fetch('/api/reviews/photos', { method: 'POST', body: formData });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) throw new ApiError(result.error || 'Failed to upload the photo.');
+    return result;
+}
+
+/**
+ * Fetches the photos from a product's approved reviews, newest first, for the "customer photos" strip.
+ * @param {number} productId - The legacy ID of the product.
+ * @returns {Promise<Array<{url: string, reviewId: string, username: string, rating: number, createdAt: string}>>}
+ *   Resolves to an empty list if they can't be loaded.
+ */
+export async function getReviewPhotos(productId) {
+    try {
+        const response = await fetch(`/api/comments/${productId}/photos`);
+        if (!response.ok) throw new ApiError(`Failed to fetch review photos. Status: ${response.status}`);
+        return await response.json();
+    } catch (error) {
+        console.error(`Could not fetch review photos for product ${productId}:`, error);
+        return [];
+    }
+}
+/**
+ * Checks a coupon code against the given cart lines. The server prices the cart itself,
+ * so the discount returned is the one that will be charged at checkout.
+ * @param {string} code - The coupon code entered by the customer.
+ * @param {Array} items - Cart lines as [{ id, variantId, quantity }].
+ * @param {object} [customer] - { email, phone }, used for per-customer usage limits when known.
+ * @returns {Promise<object>} { code, description, discount, subtotal, total }.
+ */
+export async function validateCoupon(code, items, customer = {}) {
+    const response = await fetch('/api/coupons/validate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, items, ...customer })
+    });
+    const result = await response.json();
+    if (!response.ok || !result.valid) {
+        throw new ApiError(result.error || 'This coupon code is not valid.');
+    }
+    return result;
+}
+
+/**
+ * Prices the cart on the server with the coupon, shipping and GST applied.
+ * An invalid coupon is left out of the totals and its reason returned in `couponError`.
+ * @param {Array} items - Cart lines as [{ id, variantId, quantity }].
+ * @param {object} [details] - { couponCode, state, zip, email, phone }; state and zip pick the shipping zone and GST type.
+ * @returns {Promise<object>} { subtotal, discount, coupon, couponError, shipping, shippingZone, freeShippingThreshold, tax, total }.
+ */
+export async function getOrderQuote(items, details = {}) {
+    const response = await fetch('/api/checkout/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items, ...details })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new ApiError(result.error || 'Failed to calculate order total.');
+    }
+    return result;
+}
+
+/**
+ * Formats a quote's GST breakdown as summary rows.
+ * @param {object} tax - The `tax` object from a quote or an order.
+ * @returns {Array<{label: string, amount: number}>}
+ */
+export function getTaxRows(tax) {
+    if (!tax || !tax.total) return [];
+    const suffix = tax.inclusive ? ' (incl.)' : '';
+    if (tax.supply === 'intra_state') {
+        return [{ label: `CGST${suffix}`, amount: tax.cgst }, { label: `SGST${suffix}`, amount: tax.sgst }];
+    }
+    return [{ label: `IGST${suffix}`, amount: tax.igst }];
+}
+
+/**
+ * Fetches one page of the catalog from the server with the storefront filters applied. A search is
+ * ranked by relevance, and misspellings and Telugu or Hindi words (e.g. "neyyi") are matched too.
+ * @param {object} [options]
+ * @param {string} [options.search] - What the customer typed.
+ * @param {string[]} [options.categories] - Show products in any of these categories.
+ * @param {number} [options.minPrice] - Lowest price to include.
+ * @param {number} [options.maxPrice] - Prices must be below this.
+ * @param {number} [options.minRating] - Lowest average rating to include.
+ * @param {boolean} [options.onSale] - Only products priced below their M.R.P.
+ * @param {string} [options.sort='relevance'] - 'relevance', 'newest', 'price-asc' or 'price-desc'.
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=50] - Products per page (at most 50).
+ * @returns {Promise<{products: Array, facets: object, didYouMean: string|null, currentPage: number, totalPages: number, totalProducts: number}>}
+ *   The products with cart state applied, the counts per filter value for the filter sidebar, and the
+ *   corrected query when the search contained a misspelling.
+ */
+export async function queryProducts(options = {}) {
+    const { search, categories = [], minPrice, maxPrice, minRating, onSale, sort = 'relevance', page = 1, limit = 50 } = options;
+    const params = new URLSearchParams({ sort, page, limit });
+    if (search) params.set('search', search);
+    if (categories.length > 0) params.set('category', categories.join(','));
+    if (minPrice != null) params.set('minPrice', minPrice);
+    if (maxPrice != null) params.set('maxPrice', maxPrice);
+    if (minRating != null) params.set('minRating', minRating);
+    if (onSale) params.set('onSale', 'true');
+
+    const response = await fetch(`/api/products?${params}`);
+    if (!response.ok) {
+        throw new ApiError(`Failed to fetch products. Status: ${response.status}`);
+    }
+    const data = await response.json();
+    return {
+        products: applyCartState(data.products || []),
+        facets: data.facets,
+        didYouMean: data.didYouMean || null,
+        currentPage: data.currentPage,
+        totalPages: data.totalPages,
+        totalProducts: data.totalProducts
+    };
+}
+
+/**
+ * Fetches typeahead suggestions for a partly typed search.
+ * @param {string} query - The text in the search box so far.
+ * @returns {Promise<{suggestions: Array, didYouMean: string|null}>} Up to six { id, name, price, image, category }.
+ */
+export async function getSearchSuggestions(query) {
+    const response = await fetch(`/api/products/suggest?q=${encodeURIComponent(query)}`);
+    if (!response.ok) {
+        throw new ApiError(`Failed to fetch suggestions. Status: ${response.status}`);
+    }
+    return response.json();
+}
+
+const SESSION_STORAGE_KEY = 'goshalaSession';
+
+/**
+ * Sends a one-time login code to the customer's email or phone number.
+ * @param {string} identifier - The email or phone number used at checkout.
+ * @returns {Promise<object>} { channel: 'email'|'phone', expiresInSeconds }.
+ */
+export async function requestLoginCode(identifier) {
+    const response = await fetch('/api/auth/request-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ identifier })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new ApiError(result.error || 'Failed to send the login code.');
+    }
+    return result;
+}
+
+/**
+ * Exchanges a login code for a session token and keeps the session in localStorage.
+ * @param {string} identifier - The email or phone number the code was sent to.
+ * @param {string} code - The six-digit code.
+ * @returns {Promise<object>} The session, { token, identifier, expiresAt }.
+ */
+export async function verifyLoginCode(identifier, code) {
+    const response = await fetch('/api/auth/verify-code', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ identifier, code })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new ApiError(result.error || 'Failed to verify the login code.');
+    }
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(result));
+    return result;
+}
+
+/**
+ * Returns the logged-in customer's session, or null if there is none or it has expired.
+ * @returns {object|null} { token, identifier, expiresAt }.
+ */
+export function getCustomerSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        if (session && session.token && new Date(session.expiresAt) > new Date()) return session;
+    } catch (error) {
+        // A corrupt entry is treated as logged out.
+    }
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    return null;
+}
+
+/**
+ * Headers for the customer's own endpoints (/api/my-orders and friends).
+ * @returns {object} An Authorization header, or an empty object when logged out.
+ */
+export function getAuthHeaders() {
+    const session = getCustomerSession();
+    return session ? { 'Authorization': `Bearer ${session.token}` } : {};
+}
+
+/**
+ * Forgets the customer's session on this device.
+ */
+export function logoutCustomer() {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Looks up the city and state for an Indian pincode, for filling in the address form.
+ * @param {string} pincode - Six digits.
+ * @returns {Promise<object|null>} { pincode, city, district, states }, or null if the pincode isn't known.
+ *   `city` is null unless the exact pincode is known; `district` is the main city of the pincode's
+ *   area, a hint rather than the customer's city. `states` has more than one entry near state borders.
+ */
+export async function lookupPincode(pincode) {
+    const response = await fetch(`/api/pincodes/${encodeURIComponent(pincode)}`);
+    if (response.status === 404) return null;
+    const result = await response.json();
+    if (!response.ok) {
+        throw new ApiError(result.error || 'Failed to look up the pincode.');
+    }
+    return result;
+}
+
+async function addressRequest(method, url, body, fallbackError) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new ApiError(result.error || fallbackError);
+    }
+    return result;
+}
+
+/**
+ * Fetches the logged-in customer's saved addresses, the default first.
+ * @returns {Promise<Array>} [{ _id, label, firstname, lastname, phone, address1, address2, city, state, zip, isDefault }].
+ */
+export async function getAddresses() {
+    return addressRequest('GET', '/api/addresses', null, 'Failed to load your addresses.');
+}
+
+/**
+ * Saves a new address to the customer's address book. Their first address becomes the default.
+ * @param {object} address - { label, firstname, lastname, phone, address1, address2, city, state, zip, isDefault }.
+ * @returns {Promise<object>} The saved address.
+ */
+export async function saveAddress(address) {
+    return addressRequest('POST', '/api/addresses', address, 'Failed to save the address.');
+}
+
+/**
+ * Changes a saved address.
+ * @param {string} id
+ * @param {object} address - The same fields as saveAddress().
+ * @returns {Promise<object>} The updated address.
+ */
+export async function updateAddress(id, address) {
+    return addressRequest('PUT', `/api/addresses/${id}`, address, 'Failed to update the address.');
+}
+
+/**
+ * Makes a saved address the one checkout fills in.
+ * @param {string} id
+ * @returns {Promise<object>} The address.
+ */
+export async function setDefaultAddress(id) {
+    return addressRequest('POST', `/api/addresses/${id}/default`, null, 'Failed to change the default address.');
+}
+
+/**
+ * Deletes a saved address. If it was the default, the most recently used one left takes its place.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteAddress(id) {
+    await addressRequest('DELETE', `/api/addresses/${id}`, null, 'Failed to delete the address.');
+}
+
+/**
+ * Looks up one order for the tracking page. No login is needed, but the email or phone number must
+ * be the one the order was placed with.
+ * @param {string} orderId
+ * @param {string} contact - The email or phone number used at checkout.
+ * @returns {Promise<object>} { orderId, date, shippingStatus, paymentStatus, total, items, shipTo,
+ *   tracking: { carrier, number, url }|null, cancellationStatus, refunded, timeline }, where `timeline`
+ *   is [{ status, label, done, current, at }] in order.
+ */
+export async function trackOrder(orderId, contact) {
+    const response = await fetch('/api/orders/track', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ orderId, contact })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new ApiError(result.error || 'Failed to look up the order.');
+    }
+    return result;
+}
+
+/**
+ * Sends a message from the contact form.
+ * @param {object} enquiry - { name, email, subject, message }, plus the form's hidden `website`
+ *   field, which only bots fill in.
+ * @returns {Promise<object>} { message } to show the visitor.
+ */
+export async function sendEnquiry(enquiry) {
+    const response = await fetch('/api/contact', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(enquiry)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new ApiError(result.error || 'Failed to send your message.');
+    }
+    return result;
+}
@@ -0,0 +1,143 @@
+// The wishlist: products saved for later without putting them in the cart.
+//
+// It is kept in localStorage as [{ id, variantId, addedAt }] so hearts can be drawn without waiting
+// for the server. A logged-in customer's wishlist is saved on the server (/api/wishlist) and every
+// change goes there first; a guest's stays on this device until they log in, when syncWishlist()
+// merges it into their account.
+import { ApiError, getCustomerSession, getAuthHeaders } from './data.js';
+import { addToCart } from './cart.js';
+
+const WISHLIST_STORAGE_KEY = 'goshalaWishlist';
+// The customer whose saved wishlist this browser's list mirrors; see CART_OWNER_KEY in cart.js.
+const WISHLIST_OWNER_KEY = 'goshalaWishlistOwner';
+
+/**
+ * The products in the wishlist, newest first.
+ * @returns {Array<{id: number, variantId: string|null, addedAt: string}>}
+ */
+export function getWishlistItems() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY)) || [];
+        return Array.isArray(stored) ? stored.filter(item => item && Number.isInteger(item.id)) : [];
+    } catch (error) {
+        console.error('Failed to parse wishlist from localStorage:', error);
+        return [];
+    }
+}
+
+/**
+ * Whether the product is in the wishlist.
+ * @param {number} productId
+ * @returns {boolean}
+ */
+export function isInWishlist(productId) {
+    return getWishlistItems().some(item => item.id === productId);
+}
+
+function writeWishlistItems(items) {
+    const wishlist = items.map(({ id, variantId, addedAt }) => ({ id, variantId: variantId || null, addedAt }));
+    localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(wishlist));
+}
+
+// Whether changes go to the server: the customer is logged in and their wishlists were merged.
+function isSavedToAccount() {
+    const session = getCustomerSession();
+    return !!session && localStorage.getItem(WISHLIST_OWNER_KEY) === session.identifier;
+}
+
+async function wishlistRequest(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!response.ok) throw new ApiError(result.error || 'Failed to update the wishlist.');
+    return result;
+}
+
+/**
+ * Saves a product to the wishlist.
+ * @param {number} productId
+ * @param {string|null} [variantId] - The pack size picked, kept for moving it to the cart later.
+ * @returns {Promise<void>} Rejects with an ApiError, leaving the wishlist unchanged, if the server refuses.
+ */
+export async function addToWishlist(productId, variantId = null) {
+    if (isSavedToAccount()) {
+        await wishlistRequest('POST', '/api/wishlist', { id: productId, variantId });
+    }
+    const others = getWishlistItems().filter(item => item.id !== productId);
+    writeWishlistItems([{ id: productId, variantId, addedAt: new Date().toISOString() }, ...others]);
+}
+
+/**
+ * Removes a product from the wishlist.
+ * @param {number} productId
+ * @returns {Promise<void>} Rejects with an ApiError, leaving the wishlist unchanged, if the server refuses.
+ */
+export async function removeFromWishlist(productId) {
+    if (isSavedToAccount()) {
+        await wishlistRequest('DELETE', `/api/wishlist/${productId}`);
+    }
+    writeWishlistItems(getWishlistItems().filter(item => item.id !== productId));
+}
+
+/**
+ * Adds the product to the wishlist, or removes it if it is already there (the heart button).
+ * @param {number} productId
+ * @param {string|null} [variantId] - The pack size picked, if any.
+ * @returns {Promise<boolean>} Whether the product is now in the wishlist.
+ */
+export async function toggleWishlist(productId, variantId = null) {
+    if (isInWishlist(productId)) {
+        await removeFromWishlist(productId);
+        return false;
+    }
+    await addToWishlist(productId, variantId);
+    return true;
+}
+
+/**
+ * Moves a product from the wishlist to the cart, one unit of the pack size that was saved.
+ * @param {number} productId
+ * @returns {Promise<void>}
+ */
+export async function moveToCart(productId) {
+    const item = getWishlistItems().find(saved => saved.id === productId);
+    if (!item) return;
+    await removeFromWishlist(productId);
+    addToCart([{ id: item.id, variantId: item.variantId, quantity: 1 }]);
+}
+
+/**
+ * Calls back when the wishlist is changed in another tab.
+ * @param {function(): void} callback
+ */
+export function onWishlistChange(callback) {
+    window.addEventListener('storage', (event) => {
+        if (event.key === WISHLIST_STORAGE_KEY) callback();
+    });
+}
+
+/**
+ * Brings the wishlist up to date with the customer's account; call it when a page loads and right
+ * after logging in. The first time a customer logs in on this browser, the wishlist kept here is
+ * merged into the saved one. Guests' wishlists are left as they are.
+ * @returns {Promise<Array>} The wishlist. For logged-in customers the items also carry the current
+ *   name, image, price, variantLabel and inStock from the server.
+ */
+export async function syncWishlist() {
+    const session = getCustomerSession();
+    if (!session) return getWishlistItems();
+    try {
+        const { items } = localStorage.getItem(WISHLIST_OWNER_KEY) !== session.identifier
+            ? await wishlistRequest('POST', '/api/wishlist/merge', { items: getWishlistItems() })
+            : await wishlistRequest('GET', '/api/wishlist');
+        localStorage.setItem(WISHLIST_OWNER_KEY, session.identifier);
+        writeWishlistItems(items);
+        return items;
+    } catch (error) {
+        console.error('Failed to sync the wishlist:', error);
+        return getWishlistItems();
+    }
+}
@@ -0,0 +1,92 @@
+// Moves products from free-text category names to the Category collection: creates one top-level
+// category per distinct name (names differing only in case or spacing, like "Pooja Items" and
+// "Pooja items", become one category under the most used spelling) and points each product at them.
+// Products that already have `categories` are left alone, so the script can be run again safely.
+//
+// Usage:
+//   node scripts/migrate-categories.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, ' ');
+const nameKey = (name) => normalizeName(name).toLowerCase();
+
+// Same rules as slugify() in server.js.
+const slugify = (text) => String(text).toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    if (!process.env.MONGO_URI) {
+        console.error('MONGO_URI is not set.');
+        process.exit(1);
+    }
+    await mongoose.connect(process.env.MONGO_URI);
+    const products = mongoose.connection.collection('products');
+    const categories = mongoose.connection.collection('categories');
+
+    const pending = await products
+        .find({ $or: [{ categories: { $exists: false } }, { categories: { $size: 0 } }], 'category.0': { $exists: true } })
+        .project({ legacyId: 1, category: 1 })
+        .toArray();
+
+    // Count each spelling so the most used one names the category.
+    const spellings = new Map();
+    for (const product of pending) {
+        for (const name of product.category) {
+            if (!normalizeName(name)) continue;
+            const counts = spellings.get(nameKey(name)) || new Map();
+            counts.set(normalizeName(name), (counts.get(normalizeName(name)) || 0) + 1);
+            spellings.set(nameKey(name), counts);
+        }
+    }
+
+    const existing = await categories.find().toArray();
+    const categoryByKey = new Map(existing.map(c => [nameKey(c.name), c]));
+    const usedSlugs = new Set(existing.map(c => c.slug));
+
+    for (const [key, counts] of spellings) {
+        const variants = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        if (variants.length > 1) {
+            console.log(`Merging ${variants.map(([name, count]) => `"${name}" (${count})`).join(', ')} into "${variants[0][0]}"`);
+        }
+        if (categoryByKey.has(key)) continue;
+
+        const name = variants[0][0];
+        const baseSlug = slugify(name) || 'category';
+        let slug = baseSlug;
+        for (let n = 2; usedSlugs.has(slug); n++) slug = `${baseSlug}-${n}`;
+        usedSlugs.add(slug);
+
+        const category = { _id: new mongoose.Types.ObjectId(), name, slug, parent: null, order: 0, createdAt: new Date(), updatedAt: new Date() };
+        console.log(`Creating category "${name}" (${slug})`);
+        if (!dryRun) await categories.insertOne(category);
+        categoryByKey.set(key, category);
+    }
+
+    let updated = 0;
+    for (const product of pending) {
+        const matched = [...new Map(product.category
+            .filter(name => normalizeName(name))
+            .map(name => categoryByKey.get(nameKey(name)))
+            .map(c => [String(c._id), c])).values()];
+        if (!dryRun) {
+            await products.updateOne(
+                { _id: product._id },
+                { $set: { categories: matched.map(c => c._id), category: matched.map(c => c.name) } }
+            );
+        }
+        updated++;
+    }
+
+    console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} product(s); ${categoryByKey.size} categories in total.`);
+    await mongoose.disconnect();
+}
+
+main().catch(error => {
+    console.error('Category migration failed:', error);
+    process.exit(1);
+});
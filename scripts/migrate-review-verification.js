@@ -0,0 +1,74 @@
+// Re-checks the "Verified Purchase" badge on reviews written before reviews were tied to orders.
+// Those were verified when the reviewer's name appeared anywhere in a buyer's name, so "a" matched
+// almost everyone. A review keeps the badge only if its name is exactly the full name on a paid,
+// uncancelled order of the product placed before the review, and that order line hasn't been claimed
+// by another review; the review is then linked to the order like new ones are. Reviews that already
+// have an order are left alone, so the script can be run again safely.
+//
+// Usage:
+//   node scripts/migrate-review-verification.js [--dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+// Same as REVIEWABLE_PAYMENT_STATUSES in server.js.
+const REVIEWABLE_PAYMENT_STATUSES = ['confirmed', 'partially_refunded'];
+
+const nameKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    if (!process.env.MONGO_URI) {
+        console.error('MONGO_URI is not set.');
+        process.exit(1);
+    }
+    await mongoose.connect(process.env.MONGO_URI);
+    const comments = mongoose.connection.collection('comments');
+    const orders = mongoose.connection.collection('orders');
+
+    const linked = await comments.find({ orderId: { $type: 'string' } }).project({ orderId: 1, productId: 1 }).toArray();
+    const claimedLines = new Set(linked.map(c => `${c.orderId}:${c.productId}`));
+
+    // Oldest first, so an earlier review gets the order line when two match it.
+    const pending = await comments.find({ orderId: { $not: { $type: 'string' } } }).sort({ createdAt: 1 }).toArray();
+    const paidOrders = await orders
+        .find({ paymentStatus: { $in: REVIEWABLE_PAYMENT_STATUSES }, shippingStatus: { $ne: 'Cancelled' } })
+        .project({ orderId: 1, date: 1, items: 1, 'user.firstname': 1, 'user.lastname': 1 })
+        .sort({ date: -1 })
+        .toArray();
+
+    let verified = 0;
+    let unverified = 0;
+    for (const review of pending) {
+        const reviewer = nameKey(review.username);
+        const order = reviewer && paidOrders.find(o =>
+            nameKey(`${o.user.firstname || ''} ${o.user.lastname || ''}`) === reviewer
+            && (!review.createdAt || o.date <= review.createdAt)
+            && o.items.some(item => item.id === review.productId)
+            && !claimedLines.has(`${o.orderId}:${review.productId}`));
+
+        if (order) {
+            const line = order.items.find(item => item.id === review.productId);
+            claimedLines.add(`${order.orderId}:${review.productId}`);
+            if (!review.verifiedPurchase) console.log(`Verifying review ${review._id} by "${review.username}" (order ${order.orderId})`);
+            if (!dryRun) {
+                await comments.updateOne(
+                    { _id: review._id },
+                    { $set: { verifiedPurchase: true, orderId: order.orderId, variantId: line.variantId || null } }
+                );
+            }
+            verified++;
+        } else {
+            if (review.verifiedPurchase) console.log(`Removing the badge from review ${review._id} by "${review.username}"`);
+            if (!dryRun) await comments.updateOne({ _id: review._id }, { $set: { verifiedPurchase: false } });
+            unverified++;
+        }
+    }
+
+    console.log(`${dryRun ? 'Would mark' : 'Marked'} ${verified} review(s) verified and ${unverified} unverified.`);
+    await mongoose.disconnect();
+}
+
+main().catch(error => {
+    console.error('Review migration failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,69 @@
+// Signs a Razorpay webhook fixture with RAZORPAY_WEBHOOK_SECRET and posts it to the local server,
+// so the webhook route can be exercised without a public URL.
+//
+// Usage:
+//   node scripts/send-razorpay-webhook.js <fixture.json> [--order order_X] [--payment pay_X]
+//       [--amount 50000] [--event-id evt_X] [--url http://localhost:3000/api/razorpay/webhook]
+//
+// --order/--payment replace the fixture's placeholder ids with the ones from a real test checkout,
+// --amount sets the payment amount in paise. Pass the same --event-id twice to replay an event.
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+
+const FIXTURE_ORDER_ID = 'order_TestOrder0001';
+const FIXTURE_PAYMENT_ID = 'pay_TestPayment0001';
+
+function parseArgs(argv) {
+    const args = { fixture: null, options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args.options[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        } else {
+            args.fixture = argv[i];
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const { fixture, options } = parseArgs(process.argv.slice(2));
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!fixture) {
+        console.error('Usage: node scripts/send-razorpay-webhook.js <fixture.json> [--order id] [--payment id] [--amount paise] [--event-id id] [--url url]');
+        process.exit(1);
+    }
+    if (!secret) {
+        console.error('RAZORPAY_WEBHOOK_SECRET is not set.');
+        process.exit(1);
+    }
+
+    let body = fs.readFileSync(fixture, 'utf8');
+    if (options.order) body = body.split(FIXTURE_ORDER_ID).join(options.order);
+    if (options.payment) body = body.split(FIXTURE_PAYMENT_ID).join(options.payment);
+    if (options.amount) {
+        const event = JSON.parse(body);
+        const payment = event.payload.payment && event.payload.payment.entity;
+        if (payment) payment.amount = parseInt(options.amount);
+        body = JSON.stringify(event, null, 2);
+    }
+
+    const url = options.url || `http://localhost:${process.env.PORT || 3000}/api/razorpay/webhook`;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Razorpay-Signature': crypto.createHmac('sha256', secret).update(body).digest('hex'),
+            'X-Razorpay-Event-Id': options['event-id'] || `evt_${crypto.randomBytes(7).toString('hex')}`
+        },
+        body
+    });
+
+    console.log(`${response.status} ${await response.text()}`);
+}
+
+main().catch(error => {
+    console.error('Failed to send webhook:', error);
+    process.exit(1);
+});
@@ -6,17 +6,29 @@ const cors = require('cors');
 const path = require('path');
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
-const { put } = require('@vercel/blob');
+const fs = require('fs');
+const { put, del } = require('@vercel/blob');
 const compression = require('compression');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
 
 const MONGO_URI = process.env.MONGO_URI;
+// Only used to create the first owner account; see POST /api/admin/auth/setup.
 const ADMIN_SECRET = process.env.ADMIN_SECRET;
+// Signs customer session tokens and review photo tokens, and hashes login codes. Without it a random
+// key is used, so sessions and pending codes only last until the server restarts. In production each
+// serverless instance would make up its own key and reject what the others signed, so customer login
+// is turned off there until it is set (see CUSTOMER_LOGIN_PROBLEM).
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
 
 if (!MONGO_URI) {
   console.warn('WARNING: MONGO_URI environment variable is not set.');
 }
-if (!ADMIN_SECRET) {
-  console.warn('WARNING: ADMIN_SECRET environment variable is not set.');
+if (!process.env.SESSION_SECRET && process.env.NODE_ENV !== 'production') {
+  console.warn('WARNING: SESSION_SECRET environment variable is not set; customer logins will not survive a restart.');
+}
+if (!process.env.SELLER_GSTIN) {
+  console.warn('WARNING: SELLER_GSTIN environment variable is not set; invoices will be issued without a GSTIN.');
 }
 
 const app = express();
@@ -56,21 +68,56 @@ async function connectToDatabase() {
   }
 }
 
-// Middleware for admin authentication
-const adminAuth = (req, res, next) => {
-    const secret = req.headers['x-admin-secret'] || req.query.secret;
-    if (secret !== ADMIN_SECRET) {
-        return res.status(401).json({ error: 'Unauthorized' });
+// Customer session tokens are `<payload>.<signature>`: base64url JSON { sub, exp } signed with
+// HMAC-SHA256, where `sub` is the verified email (lowercased) or 10-digit phone number.
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const signSessionToken = (identifier) => {
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    const payload = Buffer.from(JSON.stringify({ sub: identifier, exp: expiresAt })).toString('base64url');
+    const signature = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+    return { token: `${payload}.${signature}`, expiresAt: new Date(expiresAt) };
+};
+
+// Returns the token's payload, or null if it is malformed, signed with another key or expired.
+const verifySessionToken = (token) => {
+    const [payload, signature] = String(token).split('.');
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return typeof claims.sub === 'string' && claims.exp > Date.now() ? claims : null;
+    } catch (error) {
+        return null;
     }
+};
+
+// For the login endpoints: refuses them while customer login is turned off.
+const customerLoginAvailable = (req, res, next) => {
+    if (CUSTOMER_LOGIN_PROBLEM) return res.status(503).json({ error: CUSTOMER_LOGIN_UNAVAILABLE });
     next();
 };
 
-// Middleware for user authentication
+// Middleware for user authentication: a session token from /api/auth/verify-code.
 const userAuth = (req, res, next) => {
+    if (CUSTOMER_LOGIN_PROBLEM) return res.status(503).json({ error: CUSTOMER_LOGIN_UNAVAILABLE });
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
-    if (token == null) return res.sendStatus(401);
-    req.userIdentifier = token;
+    const claims = token && verifySessionToken(token);
+    if (!claims) return res.status(401).json({ error: 'Please log in again.' });
+    req.userIdentifier = claims.sub;
+    next();
+};
+
+// For routes that work for guests too: sets req.userIdentifier when a valid session token is sent.
+const optionalUserAuth = (req, res, next) => {
+    if (CUSTOMER_LOGIN_PROBLEM) return next();
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    const claims = token && verifySessionToken(token);
+    if (claims) req.userIdentifier = claims.sub;
     next();
 };
 
@@ -79,6 +126,116 @@ const razorpay = new Razorpay({
     key_secret: process.env.RAZORPAY_KEY_SECRET,
 });
 
+// Refunds go through this client so they can be exercised without moving real money.
+// With RAZORPAY_REFUNDS_MODE=mock every refund succeeds immediately with a fake refund id.
+const refundsClient = process.env.RAZORPAY_REFUNDS_MODE === 'mock'
+    ? {
+        create: async (paymentId, { amount, notes }) => ({
+            id: `rfnd_mock_${crypto.randomBytes(7).toString('hex')}`,
+            entity: 'refund',
+            amount,
+            currency: 'INR',
+            payment_id: paymentId,
+            notes,
+            status: 'processed'
+        })
+    }
+    : {
+        create: (paymentId, { amount, notes }) => razorpay.payments.refund(paymentId, { amount, speed: 'normal', notes })
+    };
+
+// Login codes are delivered through LOGIN_CODE_TRANSPORT:
+//   console (default) - printed to the server log, for local development
+//   file              - appended as JSON lines to LOGIN_CODE_OUTBOX (default login-codes.log), for tests
+//   webhook           - POSTed as JSON to LOGIN_CODE_WEBHOOK_URL, e.g. an SMS or email gateway; the
+//                       only transport allowed in production
+// Each transport gets { to, channel: 'email'|'phone', code, message }.
+const loginCodeTransports = {
+    console: async ({ to, channel, message }) => {
+        console.log(`Login code for ${channel} ${to}: ${message}`);
+    },
+    file: async (delivery) => {
+        const outbox = process.env.LOGIN_CODE_OUTBOX || path.join(__dirname, 'login-codes.log');
+        await fs.promises.appendFile(outbox, `${JSON.stringify({ ...delivery, sentAt: new Date().toISOString() })}\n`);
+    },
+    webhook: async (delivery) => {
+        const response = await fetch(process.env.LOGIN_CODE_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(delivery)
+        });
+        if (!response.ok) throw new Error(`Login code webhook responded with ${response.status}.`);
+    }
+};
+
+const LOGIN_CODE_TRANSPORT = process.env.LOGIN_CODE_TRANSPORT || 'console';
+if (!loginCodeTransports[LOGIN_CODE_TRANSPORT]) {
+  console.warn(`WARNING: Unknown LOGIN_CODE_TRANSPORT "${LOGIN_CODE_TRANSPORT}"; login codes will be printed to the console.`);
+}
+const sendLoginCode = loginCodeTransports[LOGIN_CODE_TRANSPORT] || loginCodeTransports.console;
+
+// Why customer login can't be offered in production, or null. The other login code transports would
+// leave every customer's code in the server's logs or files. The login and account endpoints then
+// answer 503; the rest of the shop, guest checkout included, keeps working.
+const CUSTOMER_LOGIN_PROBLEM = process.env.NODE_ENV !== 'production' ? null
+  : !process.env.SESSION_SECRET ? 'SESSION_SECRET is not set'
+  : LOGIN_CODE_TRANSPORT !== 'webhook' || !process.env.LOGIN_CODE_WEBHOOK_URL ? 'LOGIN_CODE_TRANSPORT is not webhook with LOGIN_CODE_WEBHOOK_URL set'
+  : null;
+if (CUSTOMER_LOGIN_PROBLEM) {
+  console.warn(`WARNING: ${CUSTOMER_LOGIN_PROBLEM}; customer login is turned off.`);
+}
+const CUSTOMER_LOGIN_UNAVAILABLE = 'Customer accounts are not available right now. You can still order as a guest.';
+
+// Order emails are delivered through EMAIL_TRANSPORT:
+//   smtp           - sent through SMTP_HOST (SMTP_PORT, default 587; SMTP_SECURE=true for port 465;
+//                    SMTP_USER and SMTP_PASS); needed in production, where the server's files are
+//                    read-only. Without it emails stay queued there until it is set.
+//   file (default) - appended as JSON lines to EMAIL_OUTBOX (default email-outbox.log), for development
+//   memory         - kept in app.locals.emailOutbox (the last 100), for tests
+// Each transport gets { from, to, subject, html, text }.
+const emailOutbox = [];
+let smtpTransporter = null;
+const emailTransports = {
+    smtp: async (message) => {
+        if (!smtpTransporter) {
+            smtpTransporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+                connectionTimeout: 10000,
+                socketTimeout: 20000
+            });
+        }
+        await smtpTransporter.sendMail(message);
+    },
+    file: async (message) => {
+        const outbox = process.env.EMAIL_OUTBOX || path.join(__dirname, 'email-outbox.log');
+        await fs.promises.appendFile(outbox, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+    },
+    memory: async (message) => {
+        emailOutbox.push({ ...message, sentAt: new Date() });
+        if (emailOutbox.length > 100) emailOutbox.shift();
+    }
+};
+
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'file';
+const EMAIL_DELIVERY_PAUSED = process.env.NODE_ENV === 'production' && (EMAIL_TRANSPORT !== 'smtp' || !process.env.SMTP_HOST);
+if (process.env.NODE_ENV === 'production') {
+  if (EMAIL_DELIVERY_PAUSED) {
+    console.warn('WARNING: EMAIL_TRANSPORT is not smtp with SMTP_HOST set; emails will stay queued until it is.');
+  }
+  if (!process.env.CRON_SECRET) {
+    console.warn('WARNING: CRON_SECRET environment variable is not set; emails that fail to send will not be retried and unused review photos will not be deleted.');
+  }
+}
+if (!emailTransports[EMAIL_TRANSPORT]) {
+  console.warn(`WARNING: Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}"; emails will be written to the outbox file.`);
+}
+const sendEmail = emailTransports[EMAIL_TRANSPORT] || emailTransports.file;
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.SMTP_USER || 'no-reply@localhost';
+app.locals.emailOutbox = emailOutbox;
+
 // ============================================
 // SIMPLE RATE LIMITING (IP-based, in-memory)
 // Note: This is per-function instance on Vercel
@@ -124,6 +281,9 @@ const simpleRateLimit = (maxRequests, windowMs) => {
 const generalLimiter = simpleRateLimit(100, 15 * 60 * 1000);
 const strictLimiter = simpleRateLimit(20, 15 * 60 * 1000);
 const uploadLimiter = simpleRateLimit(10, 60 * 60 * 1000);
+const loginLimiter = simpleRateLimit(10, 15 * 60 * 1000);
+const reviewPhotoLimiter = simpleRateLimit(15, 60 * 60 * 1000);
+const contactLimiter = simpleRateLimit(5, 60 * 60 * 1000);
 
 // ============================================
 // MULTER CONFIGURATION
@@ -139,10 +299,29 @@ const upload = multer({
     }
 });
 
+// Review photos come from anyone, so they get a tighter size limit and one file per request.
+const REVIEW_PHOTO_MAX_BYTES = 3 * 1024 * 1024;
+const reviewPhotoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: REVIEW_PHOTO_MAX_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+            return cb(new Error('Photos must be JPEG, PNG or WebP images.'), false);
+        }
+        cb(null, true);
+    }
+});
+
 // Middleware
 app.use(cors());
 app.use(compression());
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+  limit: '1mb',
+  // Webhook signatures are computed over the exact bytes Razorpay sent.
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/razorpay/webhook')) req.rawBody = buf;
+  }
+}));
 app.use(express.static('public', {
   maxAge: '1d',
   setHeaders: (res, path) => {
@@ -152,12 +331,26 @@ app.use(express.static('public', {
   }
 }));
 
-// Apply rate limiting to API routes
-app.use('/api/', generalLimiter);
+// Apply rate limiting to API routes. Razorpay retries webhooks in bursts from a few
+// shared IPs, so the signed webhook is left out rather than answered with 429.
+app.use('/api/', (req, res, next) => {
+  if (req.path === '/razorpay/webhook') return next();
+  generalLimiter(req, res, next);
+});
 
 // ============================================
 // MONGOOSE SCHEMAS WITH INDEXES
 // ============================================
+// A purchasable pack size / volume of a product, e.g. "500 ml".
+const VariantSchema = new mongoose.Schema({
+  label: { type: String, required: [true, 'Variant label is required.'], trim: true, maxlength: 50 },
+  sku: { type: String, trim: true, maxlength: 64 },
+  price: { type: Number, required: [true, 'Variant price is required.'], min: 0 },
+  originalPrice: { type: Number },
+  // null means stock is not tracked for this variant (always available)
+  stock: { type: Number, min: 0, default: null }
+});
+
 const ProductSchema = new mongoose.Schema({
   legacyId: { type: Number, required: true, unique: true, index: true },
   name: { 
@@ -168,6 +361,10 @@ const ProductSchema = new mongoose.Schema({
     maxlength: 150
   },
   dateAdded: { type: Date, default: Date.now, index: true },
+  // The Category documents the product is filed under.
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  // Names of those categories followed by their parent categories' names. The server keeps this in
+  // step with `categories`; search, coupons, GST rates and the storefront filters match on it.
   category: { type: [String], index: true },
   images: [String],
   description: { type: String, trim: true, maxlength: 2000 },
@@ -181,46 +378,262 @@ const ProductSchema = new mongoose.Schema({
     index: true
   },
   originalPrice: { type: Number },
-  deliveryDate: { type: String }
+  // HSN code printed on GST invoices
+  hsnCode: { type: String, trim: true, match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits.'] },
+  deliveryDate: { type: String },
+  // null means stock is not tracked for this product (always available)
+  stock: { type: Number, min: 0, default: null, index: true },
+  variants: {
+    type: [VariantSchema],
+    default: [],
+    validate: [
+      {
+        validator: (variants) => new Set(variants.map(v => v.label.toLowerCase())).size === variants.length,
+        msg: 'Variant labels must be unique within a product.'
+      },
+      {
+        validator: (variants) => {
+          const skus = variants.map(v => v.sku).filter(Boolean);
+          return new Set(skus).size === skus.length;
+        },
+        msg: 'Variant SKUs must be unique within a product.'
+      }
+    ]
+  }
 });
 
+ProductSchema.index({ 'variants.sku': 1 });
+// Full-text search, weighted so a match in the name counts most and one in the description least.
+ProductSchema.index(
+  { name: 'text', category: 'text', description: 'text' },
+  { name: 'product_search', weights: { name: 10, category: 5, description: 1 }, default_language: 'english' }
+);
+
 const Product = mongoose.models.Product || mongoose.model('Product', ProductSchema);
 
+const CategorySchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'Category name is required.'], trim: true, minlength: 2, maxlength: 60 },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and hyphens.']
+  },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null, index: true },
+  // Position among its siblings; lower comes first.
+  order: { type: Number, default: 0 },
+  image: { type: String, trim: true },
+  description: { type: String, trim: true, maxlength: 1000 }
+}, { timestamps: true });
+
+// Names are unique whatever their case, so "Pooja items" can't be created next to "Pooja Items".
+CategorySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Category = mongoose.models.Category || mongoose.model('Category', CategorySchema);
+
+const StockMovementSchema = new mongoose.Schema({
+  productId: { type: Number, required: true, index: true },
+  variantId: { type: String },
+  change: { type: Number, required: true },
+  stockAfter: { type: Number },
+  reason: { type: String, required: true, trim: true, maxlength: 300 },
+  orderId: { type: String, index: true },
+  date: { type: Date, default: Date.now, index: true }
+});
+
+StockMovementSchema.index({ productId: 1, date: -1 });
+
+const StockMovement = mongoose.models.StockMovement || mongoose.model('StockMovement', StockMovementSchema);
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const REVIEW_HOLD_REASONS = ['link', 'blocked_word', 'duplicate', 'photos'];
+
 const CommentSchema = new mongoose.Schema({
   productId: { type: Number, required: true, index: true },
   username: { type: String, required: true, trim: true },
   comment: { type: String, required: true, trim: true },
   rating: { type: Number, min: 1, max: 5, index: true },
   createdAt: { type: Date, default: Date.now, index: true },
-  verifiedPurchase: { type: Boolean, default: false }
+  verifiedPurchase: { type: Boolean, default: false },
+  // The order the reviewer proved they bought the product in; only set on verified reviews.
+  orderId: { type: String },
+  variantId: { type: String, default: null },
+  // Only approved reviews are shown and counted in the product's rating. Reviews are approved when
+  // posted unless `holdReasons` finds something for an admin to check; reviews from before moderation
+  // have no status and count as approved.
+  status: { type: String, enum: REVIEW_STATUSES, default: 'pending' },
+  holdReasons: [{ type: String, enum: REVIEW_HOLD_REASONS }],
+  // Hash of the comment's letters and digits, for spotting the same text posted again.
+  textKey: { type: String, default: null, index: true },
+  // Customer photos, uploaded through /api/reviews/photos. A review with photos is always held,
+  // so every photo is seen by an admin before it is shown.
+  photos: [{ url: { type: String, required: true } }],
+  // Readers' votes, one per reader (see ReviewVote). `helpfulScore` is helpful minus not helpful
+  // votes and orders the "most helpful" sort.
+  helpfulCount: { type: Number, default: 0 },
+  notHelpfulCount: { type: Number, default: 0 },
+  helpfulScore: { type: Number, default: 0 },
+  moderatedAt: { type: Date },
+  moderatedBy: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    email: String,
+    name: String
+  },
+  moderationNote: { type: String, trim: true, maxlength: 500 }
 });
 
 CommentSchema.index({ productId: 1, createdAt: -1 });
 CommentSchema.index({ productId: 1, rating: -1 });
+CommentSchema.index({ status: 1, createdAt: -1 });
+CommentSchema.index({ productId: 1, helpfulScore: -1, createdAt: -1 });
+// One review per order line.
+CommentSchema.index({ orderId: 1, productId: 1 }, { unique: true, partialFilterExpression: { orderId: { $type: 'string' } } });
 
 const Comment = mongoose.models.Comment || mongoose.model('Comment', CommentSchema);
 
+// A reader's helpful / not helpful vote on a review. `voter` is a hash of the logged-in customer, or
+// of the visitor id the browser keeps, so each reader has one vote per review.
+const ReviewVoteSchema = new mongoose.Schema({
+  review: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', required: true },
+  voter: { type: String, required: true },
+  vote: { type: String, enum: ['helpful', 'not_helpful'], required: true }
+}, { timestamps: true });
+
+ReviewVoteSchema.index({ review: 1, voter: 1 }, { unique: true });
+
+const ReviewVote = mongoose.models.ReviewVote || mongoose.model('ReviewVote', ReviewVoteSchema);
+
+// Review photos uploaded but not yet on a review. Posting the review removes the photo's record;
+// photos still here after a day were never used and are deleted from Vercel Blob.
+const ReviewPhotoUploadSchema = new mongoose.Schema({
+  url: { type: String, required: true, unique: true },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+const ReviewPhotoUpload = mongoose.models.ReviewPhotoUpload || mongoose.model('ReviewPhotoUpload', ReviewPhotoUploadSchema);
+
+// GST on an order. In-state orders are split into CGST and SGST, inter-state orders pay IGST.
+// With `inclusive` the tax is already contained in the item prices; otherwise it was added on top.
+const TaxBreakdownSchema = new mongoose.Schema({
+  supply: { type: String, enum: ['intra_state', 'inter_state'] },
+  placeOfSupply: { type: String },
+  inclusive: { type: Boolean },
+  taxableValue: { type: Number, min: 0 },
+  cgst: { type: Number, default: 0, min: 0 },
+  sgst: { type: Number, default: 0, min: 0 },
+  igst: { type: Number, default: 0, min: 0 },
+  total: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// A GST tax invoice as issued. It is a snapshot, so later catalog or settings changes don't alter
+// an issued invoice until an admin regenerates it (which keeps the number and date).
+const InvoiceSchema = new mongoose.Schema({
+  number: { type: String, required: true },
+  date: { type: Date, required: true },
+  generatedAt: { type: Date, default: Date.now },
+  seller: {
+    name: { type: String },
+    address: { type: String },
+    gstin: { type: String },
+    state: { type: String }
+  },
+  supply: { type: String, enum: ['intra_state', 'inter_state'] },
+  placeOfSupply: { type: String },
+  lines: [{
+    description: { type: String, required: true },
+    hsn: { type: String },
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    taxableValue: { type: Number, required: true },
+    gstRate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    amount: { type: Number, required: true }
+  }],
+  shipping: { type: Number, default: 0 },
+  totals: {
+    taxableValue: { type: Number },
+    cgst: { type: Number },
+    sgst: { type: Number },
+    igst: { type: Number },
+    roundOff: { type: Number },
+    total: { type: Number }
+  }
+}, { _id: false });
+
+// The fulfilment statuses an order can be in, and where each one can move next. An order can skip
+// ahead (e.g. straight from Pending to Shipped) but never go back; Cancelled and Returned are final.
+const SHIPPING_STATUSES = ['Pending', 'Processing', 'Packed', 'Shipped', 'Out for delivery', 'Delivered', 'Cancelled', 'Returned'];
+const SHIPPING_STATUS_TRANSITIONS = {
+  'Pending': ['Processing', 'Packed', 'Shipped', 'Cancelled'],
+  'Processing': ['Packed', 'Shipped', 'Cancelled'],
+  'Packed': ['Shipped', 'Cancelled'],
+  'Shipped': ['Out for delivery', 'Delivered', 'Returned'],
+  'Out for delivery': ['Delivered', 'Returned'],
+  'Delivered': ['Returned'],
+  'Cancelled': [],
+  'Returned': []
+};
+
+// One change of an order's shippingStatus: when, who made it and why.
+const OrderStatusChangeSchema = new mongoose.Schema({
+  status: { type: String, enum: SHIPPING_STATUSES, required: true },
+  from: { type: String, enum: SHIPPING_STATUSES },
+  at: { type: Date, default: Date.now },
+  // `system` for changes made by the server itself, e.g. placing the order.
+  by: {
+    kind: { type: String, enum: ['admin', 'system'], default: 'system' },
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    email: { type: String },
+    name: { type: String }
+  },
+  note: { type: String, trim: true, maxlength: 500 }
+}, { _id: false });
+
 const OrderSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true, index: true },
   date: { type: Date, default: Date.now, index: true },
+  // A copy of the customer and delivery address taken at checkout. It can't be changed afterwards,
+  // so editing or deleting an address-book entry never rewrites where a past order went.
   user: {
-    firstname: { type: String, required: true, trim: true },
-    lastname: { type: String, required: true, trim: true },
-    email: { type: String, required: true, trim: true, match: [/.+@.+\..+/, 'Please enter a valid email address'], index: true },
-    phone: { type: String, required: true, trim: true, index: true },
-    address1: { type: String, required: true, trim: true },
-    address2: { type: String, trim: true },
-    city: { type: String, required: true, trim: true },
-    state: { type: String, required: true, trim: true },
-    zip: { type: String, required: true, trim: true }
+    firstname: { type: String, required: true, trim: true, immutable: true },
+    lastname: { type: String, required: true, trim: true, immutable: true },
+    email: { type: String, required: true, trim: true, match: [/.+@.+\..+/, 'Please enter a valid email address'], index: true, immutable: true },
+    phone: { type: String, required: true, trim: true, index: true, immutable: true },
+    address1: { type: String, required: true, trim: true, immutable: true },
+    address2: { type: String, trim: true, immutable: true },
+    city: { type: String, required: true, trim: true, immutable: true },
+    state: { type: String, required: true, trim: true, immutable: true },
+    zip: { type: String, required: true, trim: true, immutable: true },
+    // The address-book name of the address used, e.g. "Parents", if it came from the address book.
+    addressLabel: { type: String, trim: true, immutable: true }
   },
   total: { type: Number, required: true, min: 0 },
+  // Item total before the coupon; `total` is what the customer paid.
+  subtotal: { type: Number, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  coupon: {
+    code: { type: String },
+    type: { type: String },
+    value: { type: Number }
+  },
+  shipping: { type: Number, default: 0, min: 0 },
+  shippingZone: { type: String },
+  tax: TaxBreakdownSchema,
   items: {
     type: [{
         id: { type: Number, required: true },
+        variantId: { type: String },
+        variantLabel: { type: String },
+        sku: { type: String },
         name: { type: String, required: true },
         quantity: { type: Number, required: true, min: 1 },
-        price: { type: Number, required: true, min: 0 }
+        price: { type: Number, required: true, min: 0 },
+        gstRate: { type: Number, min: 0 }
     }],
     required: true,
     validate: [
@@ -231,23 +644,51 @@ const OrderSchema = new mongoose.Schema({
   razorpay: {
     orderId: String,
     paymentId: String,
-    signature: String
+    signature: String,
+    // in paise, as reported by Razorpay for the captured payment
+    amountPaid: Number
+  },
+  refunds: [{
+    refundId: { type: String },
+    amount: { type: Number, required: true, min: 0 },
+    status: { type: String, default: 'pending' },
+    reason: { type: String, trim: true },
+    // The order lines (and quantities) this refund covers; empty for refunds made in the Razorpay dashboard.
+    items: [{
+      id: { type: Number, required: true },
+      variantId: { type: String },
+      quantity: { type: Number, required: true, min: 1 }
+    }],
+    restocked: { type: Boolean, default: false },
+    date: { type: Date, default: Date.now }
+  }],
+  cancellationRequest: {
+    status: { type: String, enum: ['requested', 'approved', 'declined'] },
+    reason: { type: String, trim: true, maxlength: 500 },
+    requestedAt: { type: Date },
+    resolvedAt: { type: Date }
   },
   shippingStatus: {
     type: String,
-    enum: ['Pending', 'Shipped', 'Delivered', 'Cancelled'],
+    enum: SHIPPING_STATUSES,
     default: 'Pending',
     required: true,
     index: true
   },
+  // Every change of shippingStatus, oldest first. Orders placed before it was kept have none.
+  statusHistory: [OrderStatusChangeSchema],
   tracking: {
     carrier: { type: String, trim: true },
     number: { type: String, trim: true }
-  }
+  },
+  invoice: InvoiceSchema
 });
 
 OrderSchema.index({ 'user.email': 1, date: -1 });
 OrderSchema.index({ 'user.phone': 1, date: -1 });
+OrderSchema.index({ 'razorpay.paymentId': 1 });
+OrderSchema.index({ 'coupon.code': 1 });
+OrderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
 
 const Order = mongoose.models.Order || mongoose.model('Order', OrderSchema);
 
@@ -258,6 +699,276 @@ const ConfigSchema = new mongoose.Schema({
 
 const Config = mongoose.models.Config || mongoose.model('Config', ConfigSchema);
 
+// The server-priced cart behind a Razorpay order. Capture saves these items and this total,
+// never the ones the browser sends back.
+const CheckoutSchema = new mongoose.Schema({
+  razorpayOrderId: { type: String, required: true, unique: true, index: true },
+  items: [{
+    id: { type: Number, required: true },
+    variantId: { type: String },
+    variantLabel: { type: String },
+    sku: { type: String },
+    name: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    price: { type: Number, required: true, min: 0 },
+    gstRate: { type: Number, min: 0 }
+  }],
+  total: { type: Number, required: true, min: 0 },
+  subtotal: { type: Number, min: 0 },
+  discount: { type: Number, default: 0, min: 0 },
+  coupon: {
+    code: { type: String },
+    type: { type: String },
+    value: { type: Number }
+  },
+  shipping: { type: Number, default: 0, min: 0 },
+  shippingZone: { type: String },
+  tax: TaxBreakdownSchema,
+  // in paise, exactly what the Razorpay order was created for
+  amount: { type: Number, required: true },
+  clientTotal: { type: Number },
+  // Shipping details, so the webhook can create the order if the browser never returns.
+  user: { type: mongoose.Schema.Types.Mixed },
+  // Set while /capture or the webhook is turning this checkout into an Order.
+  claimedAt: { type: Date, default: null },
+  paymentFailures: [{
+    paymentId: String,
+    reason: String,
+    date: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 }
+});
+
+const Checkout = mongoose.models.Checkout || mongoose.model('Checkout', CheckoutSchema);
+
+// Razorpay webhook deliveries already handled, so retries and replays are skipped.
+const WebhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true, index: true },
+  event: { type: String },
+  receivedAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 }
+});
+
+const WebhookEvent = mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', WebhookEventSchema);
+
+// One-time login codes. Only a hash of the code is kept; documents outlive the code itself
+// (`expiresAt`) for an hour so recent requests can be counted for rate limiting.
+const LoginCodeSchema = new mongoose.Schema({
+  identifier: { type: String, required: true, index: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 }
+});
+
+const LoginCode = mongoose.models.LoginCode || mongoose.model('LoginCode', LoginCodeSchema);
+
+// Outgoing emails, queued so that a mail server problem never fails the request that caused them.
+// `key` (e.g. "order-shipped:order_X") stops the same email being queued twice. Sent emails are
+// removed after 90 days; failed ones stay for an admin to look at.
+const EmailMessageSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  kind: { type: String, required: true },
+  orderId: { type: String, index: true },
+  to: { type: [String], required: true },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  text: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  // When the next attempt is due. It is pushed ahead while an attempt is in progress, so a server
+  // that dies mid-send leaves the email to be picked up again later.
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: { type: String },
+  sentAt: { type: Date, expires: 60 * 60 * 24 * 90 }
+}, { timestamps: true });
+
+EmailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const EmailMessage = mongoose.models.EmailMessage || mongoose.model('EmailMessage', EmailMessageSchema);
+
+// A logged-in customer's cart, kept so it follows them across devices. Lines use the same
+// { id, variantId, quantity } shape as the browser cart; `price` is the unit price the customer
+// last saw, so a price change can be pointed out. Carts left alone for 90 days are removed.
+const CartSchema = new mongoose.Schema({
+  identifier: { type: String, required: true, unique: true },
+  items: [{
+    _id: false,
+    id: { type: Number, required: true },
+    variantId: { type: String, default: null },
+    quantity: { type: Number, required: true, min: 1 },
+    price: { type: Number, default: null }
+  }]
+}, { timestamps: true });
+
+CartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 });
+
+const Cart = mongoose.models.Cart || mongoose.model('Cart', CartSchema);
+
+// Products a logged-in customer saved for later, newest first. `variantId` is the pack size they had
+// picked, if any, so moving the product to the cart keeps it.
+const WishlistSchema = new mongoose.Schema({
+  identifier: { type: String, required: true, unique: true },
+  items: [{
+    _id: false,
+    id: { type: Number, required: true },
+    variantId: { type: String, default: null },
+    addedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+const Wishlist = mongoose.models.Wishlist || mongoose.model('Wishlist', WishlistSchema);
+
+// A logged-in customer's saved delivery addresses, each named by the customer ("Home", "Parents",
+// "Temple"). At most one is the default that checkout starts with.
+const AddressSchema = new mongoose.Schema({
+  identifier: { type: String, required: true, index: true },
+  label: { type: String, required: [true, 'Please name the address, e.g. Home.'], trim: true, maxlength: 40 },
+  firstname: { type: String, required: [true, 'First name is required.'], trim: true, maxlength: 60 },
+  lastname: { type: String, required: [true, 'Last name is required.'], trim: true, maxlength: 60 },
+  phone: { type: String, required: [true, 'Phone number is required.'], trim: true, match: [/^\d{10}$/, 'Please enter a 10-digit mobile number.'] },
+  address1: { type: String, required: [true, 'Street address is required.'], trim: true, maxlength: 200 },
+  address2: { type: String, trim: true, maxlength: 200 },
+  city: { type: String, required: [true, 'City is required.'], trim: true, maxlength: 60 },
+  state: { type: String, required: [true, 'State is required.'], trim: true },
+  zip: { type: String, required: [true, 'Pincode is required.'], trim: true, match: [/^[1-9]\d{5}$/, 'Please enter a 6-digit pincode.'] },
+  isDefault: { type: Boolean, default: false }
+}, { timestamps: true });
+
+// Address names are unique per customer, ignoring case.
+AddressSchema.index({ identifier: 1, label: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Address = mongoose.models.Address || mongoose.model('Address', AddressSchema);
+
+const ADMIN_ROLES = ['owner', 'catalog_editor', 'order_manager', 'read_only'];
+
+// Admin accounts. `passwordHash` is `<salt>:<scrypt hash>` in hex. Invited admins have no password
+// until they open their invite link, which is stored only as a hash.
+const AdminUserSchema = new mongoose.Schema({
+  email: { type: String, required: [true, 'Email is required.'], unique: true, lowercase: true, trim: true, match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address.'] },
+  name: { type: String, trim: true, maxlength: 100, default: '' },
+  role: { type: String, enum: { values: ADMIN_ROLES, message: 'Unknown role "{VALUE}".' }, required: true },
+  status: { type: String, enum: ['invited', 'active', 'disabled'], default: 'invited' },
+  passwordHash: { type: String, default: null },
+  inviteTokenHash: { type: String, default: null, index: true },
+  inviteExpiresAt: { type: Date, default: null },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', default: null },
+  lastLoginAt: { type: Date, default: null }
+}, { timestamps: true });
+
+const AdminUser = mongoose.models.AdminUser || mongoose.model('AdminUser', AdminUserSchema);
+
+// One document per admin login; logging out or disabling the admin deletes it.
+const AdminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', required: true, index: true },
+  ip: { type: String, default: '' },
+  expiresAt: { type: Date, required: true, expires: 0 }
+}, { timestamps: true });
+
+const AdminSession = mongoose.models.AdminSession || mongoose.model('AdminSession', AdminSessionSchema);
+
+// One entry per admin change. `changes` lists each changed field as { path, before, after };
+// creating or deleting something records every field. Entries are never updated or removed.
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', default: null },
+    email: { type: String, default: '' },
+    name: { type: String, default: '' },
+    role: { type: String, default: '' }
+  },
+  action: { type: String, required: true },
+  target: {
+    type: { type: String, required: true },
+    id: { type: String, default: '' },
+    label: { type: String, default: '' }
+  },
+  changes: [{
+    _id: false,
+    path: { type: String, default: '' },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  note: { type: String, default: '' },
+  ip: { type: String, default: '' }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+const refuseAuditChange = () => {
+  throw new Error('Audit log entries cannot be changed or deleted.');
+};
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], refuseAuditChange);
+AuditLogSchema.pre('save', function () {
+  if (!this.isNew) refuseAuditChange();
+});
+
+const AuditLog = mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
+
+const CouponSchema = new mongoose.Schema({
+  code: { type: String, required: [true, 'Coupon code is required.'], unique: true, uppercase: true, trim: true, maxlength: 30, index: true },
+  description: { type: String, trim: true, maxlength: 200 },
+  type: { type: String, enum: ['percentage', 'flat'], required: true },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required.'],
+    min: 0,
+    validate: {
+      validator: function (value) { return this.type !== 'percentage' || value <= 100; },
+      message: 'A percentage discount cannot be more than 100.'
+    }
+  },
+  // Upper limit for percentage discounts, in rupees
+  maxDiscount: { type: Number, min: 0, default: null },
+  minCartValue: { type: Number, min: 0, default: 0 },
+  // Restrictions: when either list is set, only matching items are discounted
+  categories: { type: [String], default: [] },
+  productIds: { type: [Number], default: [] },
+  // null means unlimited
+  usageLimit: { type: Number, min: 1, default: null },
+  perCustomerLimit: { type: Number, min: 1, default: null },
+  usedCount: { type: Number, default: 0, min: 0 },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Coupon = mongoose.models.Coupon || mongoose.model('Coupon', CouponSchema);
+
+// A message sent from the contact page. Admins read it (`readAt`), note how it was answered, link it
+// to the order it is about and mark it resolved.
+const ENQUIRY_STATUSES = ['open', 'resolved'];
+
+const EnquirySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: { type: String, required: true, trim: true, lowercase: true, maxlength: 200 },
+  subject: { type: String, required: true, trim: true, maxlength: 150 },
+  message: { type: String, required: true, trim: true, maxlength: 5000 },
+  orderId: { type: String, default: null, index: true },
+  status: { type: String, enum: ENQUIRY_STATUSES, default: 'open' },
+  readAt: { type: Date, default: null },
+  resolvedAt: { type: Date, default: null },
+  notes: [{
+    text: { type: String, required: true, trim: true, maxlength: 2000 },
+    at: { type: Date, default: Date.now },
+    by: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+      email: { type: String },
+      name: { type: String }
+    }
+  }]
+}, { timestamps: true });
+
+EnquirySchema.index({ status: 1, createdAt: -1 });
+EnquirySchema.index({ readAt: 1, createdAt: -1 });
+EnquirySchema.index({ email: 1, createdAt: -1 });
+
+const Enquiry = mongoose.models.Enquiry || mongoose.model('Enquiry', EnquirySchema);
+
 // ============================================
 // MIDDLEWARE TO ENSURE DB CONNECTION
 // ============================================
@@ -272,256 +983,3987 @@ app.use(async (req, res, next) => {
 });
 
 // ============================================
-// API ENDPOINTS
+// CUSTOMER LOGIN HELPERS
 // ============================================
+const LOGIN_CODE_TTL_MS = 10 * 60 * 1000;
+const LOGIN_CODE_RESEND_MS = 60 * 1000;
+const LOGIN_CODES_PER_WINDOW = 3;
+const LOGIN_CODE_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
 
-app.get('/api/products', async (req, res) => {
+class LoginError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LoginError';
+        this.status = status;
+    }
+}
+
+// Customers log in with the email or phone number they order with. Emails are compared lowercased
+// and phone numbers as 10 digits, without +91 or a leading 0.
+// Returns { kind: 'email'|'phone', identifier } or null if it is neither.
+function normalizeLoginIdentifier(value) {
+    const text = String(value || '').trim();
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) return { kind: 'email', identifier: text.toLowerCase() };
+    let digits = text.replace(/\D/g, '');
+    if (digits.length === 12 && digits.startsWith('91')) digits = digits.slice(2);
+    if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+    return /^[6-9]\d{9}$/.test(digits) ? { kind: 'phone', identifier: digits } : null;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches the orders placed with a logged-in customer's email or phone number, however the
+// email was capitalised or the number written at checkout ("+91 98765 43210", "09876543210").
+function customerOrdersFilter(identifier) {
+    if (identifier.includes('@')) {
+        return { 'user.email': new RegExp(`^\\s*${escapeRegex(identifier)}\\s*$`, 'i') };
+    }
+    const digits = identifier.split('').join('[\\s-]*');
+    return { 'user.phone': new RegExp(`^\\s*(\\+?91|0)?[\\s-]*${digits}\\s*$`) };
+}
+
+const hashLoginCode = (identifier, code) => crypto.createHmac('sha256', SESSION_SECRET).update(`${identifier}:${code}`).digest('hex');
+
+// Creates a six-digit code for the customer and sends it. At most LOGIN_CODES_PER_WINDOW codes are
+// sent to one email or phone number per window, and not more often than once a minute.
+async function issueLoginCode({ kind, identifier }) {
+    const recent = await LoginCode.find({ identifier, createdAt: { $gte: new Date(Date.now() - LOGIN_CODE_WINDOW_MS) } })
+        .sort({ createdAt: -1 })
+        .select('createdAt')
+        .lean();
+    if (recent.length >= LOGIN_CODES_PER_WINDOW) {
+        throw new LoginError('Too many codes have been requested. Please try again in 15 minutes.', 429);
+    }
+    if (recent.length > 0 && Date.now() - recent[0].createdAt.getTime() < LOGIN_CODE_RESEND_MS) {
+        throw new LoginError('Please wait a minute before requesting another code.', 429);
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const loginCode = await LoginCode.create({
+        identifier,
+        codeHash: hashLoginCode(identifier, code),
+        expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS)
+    });
     try {
-        await connectToDatabase(); // Ensure connection before queries
-        const { sort = 'relevance', category: categoryQuery, page = 1, limit = 10, search } = req.query;
+        await sendLoginCode({
+            to: identifier,
+            channel: kind,
+            code,
+            message: `Your Brundavanam Goshala login code is ${code}. It expires in ${LOGIN_CODE_TTL_MS / 60000} minutes.`
+        });
+    } catch (error) {
+        console.error(`Failed to send login code to ${identifier}:`, error);
+        await LoginCode.deleteOne({ _id: loginCode._id });
+        throw new LoginError('We could not send the code right now. Please try again.', 502);
+    }
+}
 
-        let query = {};
+// Checks the latest code sent to the customer. Each code can be used once and allows
+// LOGIN_CODE_MAX_ATTEMPTS guesses before a new one has to be requested.
+async function verifyLoginCode(identifier, code) {
+    const loginCode = await LoginCode.findOne({ identifier, usedAt: null, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 }).lean();
+    if (!loginCode) throw new LoginError('This code has expired. Please request a new one.');
+    // The guess is counted before the code is compared, and only while guesses are left, so
+    // parallel guesses can't get past the limit.
+    const counted = await LoginCode.findOneAndUpdate(
+        { _id: loginCode._id, attempts: { $lt: LOGIN_CODE_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } }
+    );
+    if (!counted) {
+        throw new LoginError('Too many incorrect attempts. Please request a new code.', 429);
+    }
 
-        if (categoryQuery && categoryQuery !== 'All') {
-            query.category = categoryQuery;
-        }
+    const expected = Buffer.from(loginCode.codeHash);
+    const actual = Buffer.from(hashLoginCode(identifier, String(code || '').trim()));
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        throw new LoginError('That code is not correct.');
+    }
+    // Claimed atomically so two requests can't both log in with the same code.
+    const claimed = await LoginCode.findOneAndUpdate({ _id: loginCode._id, usedAt: null }, { $set: { usedAt: new Date() } });
+    if (!claimed) throw new LoginError('This code has already been used. Please request a new one.');
+}
 
-        if (search) {
-            const searchRegex = { $regex: search, $options: 'i' };
-            const searchNumber = parseInt(search);
-            query.$or = [
-                { name: searchRegex },
-                ...(isNaN(searchNumber) ? [] : [{ legacyId: searchNumber }])
-            ];
-        }
+// ============================================
+// ADMIN ACCOUNT HELPERS
+// ============================================
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const ADMIN_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const ADMIN_PASSWORD_MIN_LENGTH = 10;
 
-        let sortOptions = {};
-        if (sort === 'newest') { sortOptions = { dateAdded: -1 }; }
-        else if (sort === 'price-asc') { sortOptions = { price: 1 }; }
-        else if (sort === 'price-desc') { sortOptions = { price: -1 }; }
-        else { sortOptions = { legacyId: 1 }; }
+// What each role may do. `view` covers every admin GET; the others guard the routes that change
+// the catalog, orders, store settings (coupons, shipping and GST) and admin accounts.
+const ADMIN_ROLE_PERMISSIONS = {
+    owner: ['view', 'catalog', 'orders', 'settings', 'admins'],
+    catalog_editor: ['view', 'catalog'],
+    order_manager: ['view', 'orders'],
+    read_only: ['view']
+};
 
-        const pageNum = Math.max(1, parseInt(page));
-        const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-        const skip = (pageNum - 1) * limitNum;
+class AdminAuthError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AdminAuthError';
+        this.status = status;
+    }
+}
 
-        const totalProducts = await Product.countDocuments(query);
-        const totalPages = Math.ceil(totalProducts / limitNum);
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
-        const productsFromDB = await Product.find(query)
-            .select('-__v -_id')
-            .sort(sortOptions)
-            .skip(skip)
-            .limit(limitNum)
-            .lean();
+const getClientIp = (req) => String(req.headers['x-forwarded-for'] || req.connection.remoteAddress || '').split(',')[0].trim();
 
-        const formattedProducts = (productsFromDB || []).map(product => {
-            const productObj = { ...product };
-            productObj.id = productObj.legacyId;
-            delete productObj.legacyId;
-            return productObj;
-        });
+const scryptAsync = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, key) => error ? reject(error) : resolve(key));
+});
 
-        res.json({
-            products: formattedProducts,
-            totalPages: totalPages,
-            currentPage: pageNum,
-            totalProducts: totalProducts
-        });
-    } catch (error) {
-        console.error('Error fetching products from DB:', error);
-        res.status(500).json({ error: 'Failed to fetch products' });
+async function hashAdminPassword(password) {
+    if (typeof password !== 'string' || password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+        throw new AdminAuthError(`Password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters long.`);
     }
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${(await scryptAsync(password, salt)).toString('hex')}`;
+}
+
+async function checkAdminPassword(password, passwordHash) {
+    const [salt, hash] = String(passwordHash || '').split(':');
+    if (!salt || !hash || typeof password !== 'string') return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, salt);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// The shape of an admin returned to the browser, without password or invite hashes.
+const describeAdmin = (admin) => ({
+    id: admin._id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    status: admin.status,
+    permissions: ADMIN_ROLE_PERMISSIONS[admin.role] || [],
+    inviteExpiresAt: admin.status === 'invited' ? admin.inviteExpiresAt : undefined,
+    lastLoginAt: admin.lastLoginAt,
+    createdAt: admin.createdAt
 });
 
-app.get('/api/products/:id', async (req, res) => {
+async function startAdminSession(admin, req) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL_MS);
+    await AdminSession.create({ tokenHash: hashToken(token), admin: admin._id, ip: getClientIp(req), expiresAt });
+    await AdminUser.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+    return { token, expiresAt, admin: describeAdmin(admin) };
+}
+
+// Gives the admin a fresh invite link, replacing any earlier one. Also used to reset a password.
+async function issueAdminInvite(admin) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    admin.inviteTokenHash = hashToken(token);
+    admin.inviteExpiresAt = new Date(Date.now() + ADMIN_INVITE_TTL_MS);
+    await admin.save();
+    return token;
+}
+
+// Middleware for admin routes: requires `Authorization: Bearer <token>` from /api/admin/auth/login
+// and a role that grants `permission`. Sets req.admin and req.adminSessionId.
+const requireAdmin = (permission) => async (req, res, next) => {
     try {
-        const product = await Product.findOne({ legacyId: parseInt(req.params.id) })
-            .select('-__v')
-            .lean();
-            
-        if (!product) {
-            return res.status(404).json({ error: 'Product not found.' });
-        }
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+        if (!token) return res.status(401).json({ error: 'Please log in.' });
 
-        product.id = product.legacyId;
-        delete product.legacyId;
-        
-        res.json(product);
+        const session = await AdminSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).lean();
+        const admin = session && await AdminUser.findById(session.admin).lean();
+        if (!admin || admin.status !== 'active') return res.status(401).json({ error: 'Your session has expired. Please log in again.' });
+        if (!(ADMIN_ROLE_PERMISSIONS[admin.role] || []).includes(permission)) {
+            return res.status(403).json({ error: 'Your role does not allow this action.' });
+        }
+        req.admin = admin;
+        req.adminSessionId = session._id;
+        next();
     } catch (error) {
-        console.error('Error fetching single product:', error);
-        res.status(500).json({ error: 'Failed to fetch product.' });
+        console.error('Error checking admin session:', error);
+        res.status(500).json({ error: 'Failed to check admin session.' });
     }
-});
+};
 
-app.post('/api/upload', uploadLimiter, adminAuth, upload.single('image'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded.' });
-    }
+// Account fields for the audit log; password and invite hashes are never recorded.
+const adminAuditState = (admin) => ({ email: admin.email, name: admin.name, role: admin.role, status: admin.status });
+
+// At least one active owner must remain, or nobody could manage admin accounts any more.
+async function assertOtherActiveOwner(admin) {
+    const owners = await AdminUser.countDocuments({ _id: { $ne: admin._id }, role: 'owner', status: 'active' });
+    if (owners === 0) throw new AdminAuthError('There must be at least one other active owner.', 409);
+}
+
+// ============================================
+// AUDIT LOG HELPERS
+// ============================================
+// Timestamps Mongoose maintains itself; listing them on every update would only be noise.
+const AUDIT_IGNORED_FIELDS = new Set(['__v', 'updatedAt']);
+
+const toAuditValue = (value) => value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
 
+// Lists the fields that differ between two versions of a document as [{ path, before, after }].
+// Nested objects are compared field by field ("tracking.number"); arrays are compared whole.
+function diffForAudit(before, after) {
+    const changes = [];
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const walk = (a, b, path) => {
+        if (isPlainObject(a) && isPlainObject(b)) {
+            for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+                if (!AUDIT_IGNORED_FIELDS.has(key)) walk(a[key], b[key], path ? `${path}.${key}` : key);
+            }
+        } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+            changes.push({ path, before: a === undefined ? null : a, after: b === undefined ? null : b });
+        }
+    };
+    walk(toAuditValue(before) || {}, toAuditValue(after) || {}, '');
+    return changes;
+}
+
+// Appends an audit entry for an admin change. `before`/`after` are the target's state around the
+// change (null when it was created or deleted). A failure is logged rather than failing the
+// change, which has already been made by the time this runs.
+async function recordAudit(req, { action, targetType, targetId, targetLabel = '', before = null, after = null, note = '', actor = req.admin }) {
     try {
-        const filename = `${Date.now()}-${req.file.originalname}`;
-        const blob = await put(filename, req.file.buffer, {
-          access: 'public',
+        await AuditLog.create({
+            actor: actor ? { id: actor._id, email: actor.email, name: actor.name, role: actor.role } : {},
+            action,
+            target: { type: targetType, id: targetId === undefined || targetId === null ? '' : String(targetId), label: targetLabel },
+            changes: diffForAudit(before, after),
+            note,
+            ip: getClientIp(req)
         });
-        res.status(201).json({ url: blob.url });
     } catch (error) {
-        console.error('Error uploading to Vercel Blob:', error);
-        res.status(500).json({ error: 'Failed to upload image.' });
+        console.error(`Failed to record audit entry for ${action}:`, error);
     }
-}, (error, req, res, next) => {
-    res.status(400).json({ error: error.message });
+}
+
+// Order fields worth auditing; items, prices and addresses never change after checkout.
+const orderAuditState = (order) => ({
+    shippingStatus: order.shippingStatus,
+    paymentStatus: order.paymentStatus,
+    tracking: order.tracking,
+    cancellationRequest: (order.cancellationRequest && order.cancellationRequest.status) || null,
+    refunds: (order.refunds || []).map(refund => ({ amount: refund.amount, status: refund.status, reason: refund.reason })),
+    invoice: order.invoice ? { number: order.invoice.number, generatedAt: order.invoice.generatedAt } : null
 });
 
-app.post('/api/products', adminAuth, async (req, res) => {
-    try {
-        const productData = { ...req.body };
-        delete productData._id;
-        delete productData.id;
+// ============================================
+// STOCK HELPERS
+// ============================================
+const LOW_STOCK_THRESHOLD = 5;
 
-        const newProduct = new Product({
-            ...productData,
-            legacyId: productData.legacyId,
-            dateAdded: new Date()
+// Works for both products and variants: whichever document holds the stock count.
+const isStockTracked = (stockHolder) => typeof stockHolder.stock === 'number';
+
+// Collapses duplicate cart lines into one { id, variantId, quantity } per product variant.
+const groupItemQuantities = (items) => {
+    const lines = new Map();
+    items.forEach(item => {
+        const id = parseInt(item.id);
+        const variantId = item.variantId ? String(item.variantId) : null;
+        const key = `${id}:${variantId || ''}`;
+        const line = lines.get(key) || { id, variantId, quantity: 0 };
+        line.quantity += parseInt(item.quantity);
+        lines.set(key, line);
+    });
+    return [...lines.values()];
+};
+
+const isValidCartItems = (items) => Array.isArray(items) && items.length > 0 &&
+    items.every(item => Number.isInteger(parseInt(item.id)) && parseInt(item.quantity) >= 1 &&
+        (!item.variantId || mongoose.isValidObjectId(item.variantId)));
+
+// Finds the product, and the variant when the line names one, that a cart line refers to.
+// Products that have variants can only be bought through one of them.
+const resolveCartLine = (products, line) => {
+    const product = products.find(p => p.legacyId === line.id);
+    if (!product) return null;
+    const variants = product.variants || [];
+    if (!line.variantId) return variants.length > 0 ? null : { product, variant: null };
+    const variant = variants.find(v => String(v._id) === line.variantId);
+    return variant ? { product, variant } : null;
+};
+
+// Mongo filter and update path for the stock count a cart line draws from.
+const stockTarget = (line, stockCondition) => {
+    const stockMatch = stockCondition === undefined ? {} : { stock: stockCondition };
+    return line.variantId
+        ? { filter: { legacyId: line.id, variants: { $elemMatch: { _id: line.variantId, ...stockMatch } } }, path: 'variants.$.stock' }
+        : { filter: { legacyId: line.id, ...stockMatch }, path: 'stock' };
+};
+
+// Returns the cart lines that cannot currently be fulfilled.
+async function findUnavailableItems(items) {
+    const lines = groupItemQuantities(items);
+    const products = await Product.find({ legacyId: { $in: lines.map(l => l.id) } })
+        .select('legacyId name stock variants')
+        .lean();
+
+    return lines.reduce((unavailable, line) => {
+        const resolved = resolveCartLine(products, line);
+        if (!resolved) {
+            const product = products.find(p => p.legacyId === line.id);
+            unavailable.push({ id: line.id, variantId: line.variantId, name: product ? product.name : null, requested: line.quantity, available: 0 });
+            return unavailable;
+        }
+        const stockHolder = resolved.variant || resolved.product;
+        if (isStockTracked(stockHolder) && stockHolder.stock < line.quantity) {
+            unavailable.push({
+                id: line.id,
+                variantId: line.variantId,
+                name: resolved.variant ? `${resolved.product.name} (${resolved.variant.label})` : resolved.product.name,
+                requested: line.quantity,
+                available: stockHolder.stock
+            });
+        }
+        return unavailable;
+    }, []);
+}
+
+async function restoreStock(lines) {
+    await Promise.all(lines.map(line => {
+        const { filter, path } = stockTarget(line, { $type: 'number' });
+        return Product.updateOne(filter, { $inc: { [path]: line.quantity } });
+    }));
+}
+
+// Puts refunded or cancelled items back on the shelf and logs each movement.
+async function returnToStock(items, reason, orderId) {
+    const movements = [];
+    for (const line of groupItemQuantities(items)) {
+        const { filter, path } = stockTarget(line, { $type: 'number' });
+        const updated = await Product.findOneAndUpdate(filter, { $inc: { [path]: line.quantity } }, { new: true })
+            .select('legacyId stock variants')
+            .lean();
+        if (!updated) continue;
+        const { product, variant } = resolveCartLine([updated], line);
+        movements.push({
+            productId: line.id,
+            variantId: line.variantId || undefined,
+            change: line.quantity,
+            stockAfter: (variant || product).stock,
+            reason,
+            orderId
+        });
+    }
+    if (movements.length > 0) await StockMovement.insertMany(movements);
+}
+
+// Atomically takes stock for every tracked product or variant in the order. Each decrement
+// only matches while enough stock remains, so two buyers can never both get the last unit.
+// On the first shortfall all earlier decrements are rolled back.
+async function decrementStock(items, orderId) {
+    const applied = [];
+    for (const line of groupItemQuantities(items)) {
+        const { filter, path } = stockTarget(line, { $gte: line.quantity });
+        const updated = await Product.findOneAndUpdate(
+            filter,
+            { $inc: { [path]: -line.quantity } },
+            { new: true }
+        ).select('legacyId name stock variants').lean();
+
+        if (updated) {
+            const { product, variant } = resolveCartLine([updated], line);
+            applied.push({ ...line, stockAfter: (variant || product).stock });
+            continue;
+        }
+
+        const product = await Product.findOne({ legacyId: line.id }).select('legacyId name stock variants').lean();
+        const resolved = product && resolveCartLine([product], line);
+        if (resolved && !isStockTracked(resolved.variant || resolved.product)) continue;
+
+        await restoreStock(applied);
+        return { success: false, failedItem: { id: line.id, variantId: line.variantId, name: product ? product.name : null } };
+    }
+
+    if (applied.length > 0) {
+        await StockMovement.insertMany(applied.map(line => ({
+            productId: line.id,
+            variantId: line.variantId || undefined,
+            change: -line.quantity,
+            stockAfter: line.stockAfter,
+            reason: 'Order placed',
+            orderId
+        })));
+    }
+    return { success: true, applied };
+}
+
+// Products with variants are listed at their cheapest variant's price.
+const syncVariantPricing = (productData) => {
+    if (Array.isArray(productData.variants) && productData.variants.length > 0) {
+        const cheapest = productData.variants.reduce((min, v) => (Number(v.price) < Number(min.price) ? v : min));
+        productData.price = cheapest.price;
+        productData.originalPrice = cheapest.originalPrice || null;
+    }
+    return productData;
+};
+
+// ============================================
+// SEARCH HELPERS
+// ============================================
+// Telugu and Hindi words (romanised and in script) customers search with, mapped to the
+// English words the catalog uses.
+const SEARCH_SYNONYMS = {
+    neyyi: 'ghee', neyi: 'ghee', nei: 'ghee', ghrutham: 'ghee', ghrutam: 'ghee', ghritam: 'ghee', 'నెయ్యి': 'ghee', 'घी': 'ghee',
+    aavu: 'cow', gomata: 'cow', 'ఆవు': 'cow', 'गाय': 'cow',
+    pidakalu: 'dung', pidaka: 'dung', gobar: 'dung', gomayam: 'dung', 'పిడకలు': 'dung', 'गोबर': 'dung',
+    gomutra: 'urine', gomutram: 'urine', 'గోమూత్రం': 'urine', 'गोमूत्र': 'urine',
+    sabbu: 'soap', sabun: 'soap', 'సబ్బు': 'soap', 'साबुन': 'soap',
+    deepam: 'diya', deepalu: 'diya', pramida: 'diya', pramidalu: 'diya', 'దీపం': 'diya', 'दीया': 'diya',
+    agarbatti: 'incense', agarbathi: 'incense', agarbattilu: 'incense', 'अगरबत्ती': 'incense',
+    sambrani: 'dhoop', dhoopam: 'dhoop', dhupam: 'dhoop', 'ధూపం': 'dhoop', 'धूप': 'dhoop',
+    kunkuma: 'kumkuma', kumkum: 'kumkuma', bottu: 'kumkuma', 'కుంకుమ': 'kumkuma', 'कुमकुम': 'kumkuma',
+    eruvu: 'manure', khad: 'manure', 'ఎరువు': 'manure', 'खाद': 'manure',
+    puja: 'pooja', 'పూజ': 'pooja', 'पूजा': 'pooja',
+    nune: 'oil', tailam: 'oil', thailam: 'oil', 'నూనె': 'oil', 'तेल': 'oil'
+};
+
+// Splits text into lowercase words; combining marks are kept so Telugu and Hindi words stay whole.
+const tokenizeSearchText = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+
+// Edit distance counting an adjacent swap as one edit ("ghe" -> "ghee" is 1, "gehe" -> "ghee" is 1).
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[0][j] = j;
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, rows[i - 2][j - 2] + 1);
+            }
+            rows[i][j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (i > 0 && rowMin > maxDistance) return maxDistance + 1;
+    }
+    return rows[a.length][b.length];
+}
+
+// Words in the catalog plus the synonym keys, used to correct misspellings and complete prefixes.
+// Rebuilt at most every few minutes, and right away after a product is changed.
+const SEARCH_VOCABULARY_TTL_MS = 5 * 60 * 1000;
+let searchVocabulary = null;
+let searchVocabularyBuiltAt = 0;
+
+async function getSearchVocabulary() {
+    if (searchVocabulary && Date.now() - searchVocabularyBuiltAt < SEARCH_VOCABULARY_TTL_MS) return searchVocabulary;
+    const products = await Product.find().select('name category description').lean();
+    const words = new Set(Object.keys(SEARCH_SYNONYMS));
+    for (const product of products) {
+        for (const word of tokenizeSearchText(`${product.name} ${(product.category || []).join(' ')} ${product.description || ''}`)) {
+            if (word.length >= 3) words.add(word);
+        }
+    }
+    searchVocabulary = words;
+    searchVocabularyBuiltAt = Date.now();
+    return searchVocabulary;
+}
+
+const invalidateSearchVocabulary = () => { searchVocabulary = null; };
+
+// The closest catalog word to a misspelt one: one typo is tolerated from 3 letters, two from 8.
+function closestSearchWord(word, vocabulary) {
+    const maxDistance = word.length >= 8 ? 2 : word.length >= 3 ? 1 : 0;
+    if (maxDistance === 0) return null;
+    let best = null;
+    let bestDistance = maxDistance + 1;
+    for (const candidate of vocabulary) {
+        const distance = editDistance(word, candidate, maxDistance);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Turns what the customer typed into the words to look up: each word as typed, its correction if it
+// isn't in the catalog, and the English word for a Telugu or Hindi one. With `prefix`, the last word is
+// treated as unfinished and completed from the catalog words instead (for typeahead).
+// Returns { terms, didYouMean } where didYouMean is the query with misspellings corrected, if any were.
+function expandSearchQuery(search, vocabulary, { prefix = false } = {}) {
+    const words = tokenizeSearchText(search);
+    const terms = new Set();
+    let corrected = false;
+    const correctedWords = words.map((word, index) => {
+        terms.add(word);
+        if (prefix && index === words.length - 1) {
+            const completions = [...vocabulary].filter(w => w.startsWith(word)).sort((a, b) => a.length - b.length).slice(0, 3);
+            completions.forEach(w => terms.add(SEARCH_SYNONYMS[w] || w));
+            if (completions.length > 0) return word;
+        }
+        let match = word;
+        if (!SEARCH_SYNONYMS[word] && !vocabulary.has(word)) {
+            match = closestSearchWord(word, vocabulary) || word;
+            if (match !== word) {
+                terms.add(match);
+                corrected = true;
+            }
+        }
+        if (SEARCH_SYNONYMS[match]) terms.add(SEARCH_SYNONYMS[match]);
+        return match;
+    });
+    return { terms: [...terms], didYouMean: corrected ? correctedWords.join(' ') : null };
+}
+
+// ============================================
+// CATEGORY HELPERS
+// ============================================
+class CategoryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CategoryError';
+        this.status = status;
+    }
+}
+
+const slugify = (text) => String(text).toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// All categories in display order (by `order`, then name), with a lookup by id.
+async function loadCategories() {
+    const categories = await Category.find().sort({ order: 1, name: 1 }).select('-__v').lean();
+    return { categories, categoriesById: new Map(categories.map(c => [String(c._id), c])) };
+}
+
+// Nests the categories under their parents, keeping the display order among siblings.
+function buildCategoryTree(categories) {
+    const nodes = new Map(categories.map(c => [String(c._id), {
+        id: String(c._id),
+        name: c.name,
+        slug: c.slug,
+        description: c.description || '',
+        image: c.image || null,
+        parent: c.parent ? String(c.parent) : null,
+        children: []
+    }]));
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(node.parent);
+        (parent ? parent.children : roots).push(node);
+    }
+    return roots;
+}
+
+// The category and its parents, from the top-level category down.
+function categoryPath(categoryId, categoriesById) {
+    const path = [];
+    let current = categoriesById.get(String(categoryId));
+    while (current && !path.includes(current)) {
+        path.unshift(current);
+        current = current.parent ? categoriesById.get(String(current.parent)) : null;
+    }
+    return path;
+}
+
+// The names stored in Product.category: the product's own categories first (product cards show
+// the first one), then their parents, so filtering on "Pooja Items" also finds its subcategories.
+function categoryNamesFor(categoryIds, categoriesById) {
+    const own = [];
+    const parents = [];
+    for (const id of categoryIds || []) {
+        const path = categoryPath(id, categoriesById);
+        if (path.length === 0) continue;
+        own.push(path[path.length - 1].name);
+        parents.push(...path.slice(0, -1).map(c => c.name));
+    }
+    return [...new Set([...own, ...parents])];
+}
+
+// Works out a product's categories from what the admin sent: `categories` as ids, or a `category`
+// list of names matched regardless of case. Returns { categories, category } to save on the product,
+// or null when neither was sent.
+async function resolveProductCategories(productData) {
+    const byName = !Array.isArray(productData.categories) && Array.isArray(productData.category);
+    const requested = byName ? productData.category : productData.categories;
+    if (!Array.isArray(requested)) return null;
+
+    const { categories, categoriesById } = await loadCategories();
+    const ids = new Map();
+    for (const value of requested) {
+        const match = byName
+            ? categories.find(c => c.name.toLowerCase() === String(value).trim().toLowerCase())
+            : categoriesById.get(String(value));
+        if (!match) throw new CategoryError(`Unknown category "${value}". Add it under Categories first.`);
+        ids.set(String(match._id), match._id);
+    }
+    return { categories: [...ids.values()], category: categoryNamesFor([...ids.values()], categoriesById) };
+}
+
+// A category can't be filed under itself or under one of its own subcategories.
+function checkCategoryParent(categoryId, parentId, categoriesById) {
+    if (!parentId) return;
+    if (!categoriesById.has(String(parentId))) throw new CategoryError('Parent category not found.');
+    if (categoryId && categoryPath(parentId, categoriesById).some(c => String(c._id) === String(categoryId))) {
+        throw new CategoryError('A category cannot be placed under itself or one of its subcategories.');
+    }
+}
+
+// Rewrites Product.category for the products in this category or any category below it, after the
+// category was renamed or moved. Returns how many products were updated.
+async function refreshProductCategoryNames(categoryId) {
+    const { categories, categoriesById } = await loadCategories();
+    const affected = categories
+        .filter(c => categoryPath(c._id, categoriesById).some(a => String(a._id) === String(categoryId)))
+        .map(c => c._id);
+    const products = await Product.find({ categories: { $in: affected } }).select('categories').lean();
+    if (products.length === 0) return 0;
+
+    await Product.bulkWrite(products.map(product => ({
+        updateOne: {
+            filter: { _id: product._id },
+            update: { $set: { category: categoryNamesFor(product.categories, categoriesById) } }
+        }
+    })));
+    invalidateSearchVocabulary();
+    return products.length;
+}
+
+// Coupons and GST rates name categories, so a rename is carried over to them.
+async function renameCategoryReferences(oldName, newName) {
+    await Coupon.updateMany(
+        { categories: oldName },
+        { $set: { 'categories.$[name]': newName } },
+        { arrayFilters: [{ name: oldName }] }
+    );
+    const chargesConfig = await Config.findOne({ key: 'chargesConfig' }).lean();
+    const categoryRates = chargesConfig && chargesConfig.value && chargesConfig.value.gst && chargesConfig.value.gst.categoryRates;
+    if (Array.isArray(categoryRates) && categoryRates.some(r => r.category === oldName)) {
+        await Config.updateOne(
+            { key: 'chargesConfig' },
+            { $set: { 'value.gst.categoryRates': categoryRates.map(r => (r.category === oldName ? { ...r, category: newName } : r)) } }
+        );
+    }
+}
+
+// ============================================
+// CATALOG FILTER HELPERS
+// ============================================
+// Price bands counted for the storefront filters. A band includes its lower bound but not its upper
+// one, like the minPrice/maxPrice filter; the last band is open-ended.
+const PRICE_FACET_BOUNDARIES = [0, 250, 500, 1000, 2000];
+const RATING_FACET_THRESHOLDS = [4, 3, 2, 1];
+const ON_SALE_CONDITION = { $expr: { $gt: ['$originalPrice', '$price'] } };
+
+// ?category= takes category slugs or names, repeated or comma-separated ("ghee,incense").
+// 'All' means every category.
+function parseCategoryFilter(value, categoryNamesBySlug) {
+    const values = (Array.isArray(value) ? value : [value])
+        .filter(v => typeof v === 'string')
+        .flatMap(v => v.split(','))
+        .map(v => v.trim())
+        .filter(v => v && v !== 'All')
+        .map(v => categoryNamesBySlug.get(v.toLowerCase()) || v);
+    return [...new Set(values)];
+}
+
+// Reads the storefront filters from the query string into one MongoDB condition per filter, kept
+// apart so each facet can be counted with all the other filters applied.
+// Returns { filters } or { error } when a value is malformed.
+function parseCatalogFilters(query, categoryNamesBySlug = new Map()) {
+    const numbers = {};
+    for (const name of ['minPrice', 'maxPrice', 'minRating']) {
+        if (query[name] === undefined || query[name] === '') continue;
+        const value = Number(query[name]);
+        if (!Number.isFinite(value) || value < 0) return { error: `${name} must be a non-negative number.` };
+        numbers[name] = value;
+    }
+    if (numbers.minPrice !== undefined && numbers.maxPrice !== undefined && numbers.minPrice >= numbers.maxPrice) {
+        return { error: 'minPrice must be less than maxPrice.' };
+    }
+
+    const filters = {};
+    const categories = parseCategoryFilter(query.category, categoryNamesBySlug);
+    if (categories.length > 0) filters.category = { category: { $in: categories } };
+    if (numbers.minPrice !== undefined || numbers.maxPrice !== undefined) {
+        const price = {};
+        if (numbers.minPrice !== undefined) price.$gte = numbers.minPrice;
+        if (numbers.maxPrice !== undefined) price.$lt = numbers.maxPrice;
+        filters.price = { price };
+    }
+    if (numbers.minRating !== undefined) filters.rating = { rating: { $gte: numbers.minRating } };
+    if (query.onSale === 'true' || query.onSale === '1') filters.onSale = ON_SALE_CONDITION;
+    return { filters };
+}
+
+// Adds the filters to a base query, leaving out `except` (the filter a facet is counting).
+function applyCatalogFilters(baseQuery, filters, except = null) {
+    const conditions = Object.entries(filters).filter(([name]) => name !== except).map(([, condition]) => condition);
+    return conditions.length > 0 ? { ...baseQuery, $and: conditions } : { ...baseQuery };
+}
+
+// Counts products per filter value. Each facet ignores its own filter, so with "Ghee" ticked the
+// other categories still show how many products picking them would add.
+async function getCatalogFacets(baseQuery, filters, categorySlugsByName = new Map()) {
+    const matchOthers = (except) => ({ $match: applyCatalogFilters({}, filters, except) });
+    const ratingCounts = Object.fromEntries(RATING_FACET_THRESHOLDS.map(threshold => [
+        `atLeast${threshold}`, { $sum: { $cond: [{ $gte: ['$rating', threshold] }, 1, 0] } }
+    ]));
+
+    // $text has to be in the first stage, so the search (base query) is matched before $facet.
+    const [result] = await Product.aggregate([
+        { $match: baseQuery },
+        {
+            $facet: {
+                categories: [matchOthers('category'), { $unwind: '$category' }, { $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+                priceRanges: [matchOthers('price'), {
+                    $bucket: { groupBy: '$price', boundaries: PRICE_FACET_BOUNDARIES, default: 'above', output: { count: { $sum: 1 } } }
+                }],
+                ratings: [matchOthers('rating'), { $group: { _id: null, ...ratingCounts } }],
+                onSale: [matchOthers('onSale'), { $match: ON_SALE_CONDITION }, { $count: 'count' }]
+            }
+        }
+    ]);
+
+    const bandCounts = new Map(result.priceRanges.map(band => [band._id, band.count]));
+    const ratings = result.ratings[0] || {};
+    return {
+        categories: result.categories.map(c => ({ value: c._id, slug: categorySlugsByName.get(c._id) || null, count: c.count })),
+        priceRanges: PRICE_FACET_BOUNDARIES.map((min, index) => {
+            const max = index + 1 < PRICE_FACET_BOUNDARIES.length ? PRICE_FACET_BOUNDARIES[index + 1] : null;
+            return { min, max, count: bandCounts.get(max === null ? 'above' : min) || 0 };
+        }),
+        ratings: RATING_FACET_THRESHOLDS.map(threshold => ({ minRating: threshold, count: ratings[`atLeast${threshold}`] || 0 })),
+        onSale: result.onSale.length > 0 ? result.onSale[0].count : 0
+    };
+}
+
+// ============================================
+// PRICING HELPERS
+// ============================================
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Rebuilds a cart from product ids and quantities using current catalog names and prices.
+// Returns null if any line no longer matches a product (or one of its variants).
+async function priceCart(items) {
+    const lines = groupItemQuantities(items);
+    const products = await Product.find({ legacyId: { $in: lines.map(l => l.id) } })
+        .select('legacyId name price variants')
+        .lean();
+
+    const pricedItems = [];
+    for (const line of lines) {
+        const resolved = resolveCartLine(products, line);
+        if (!resolved) return null;
+        const { product, variant } = resolved;
+        pricedItems.push({
+            id: line.id,
+            variantId: line.variantId || undefined,
+            variantLabel: variant ? variant.label : undefined,
+            sku: variant ? variant.sku : undefined,
+            name: product.name,
+            quantity: line.quantity,
+            price: variant ? variant.price : product.price
+        });
+    }
+
+    const total = roundMoney(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    return { items: pricedItems, total };
+}
+
+// ============================================
+// CART HELPERS
+// ============================================
+const MAX_CART_LINES = 50;
+const MAX_CART_LINE_QUANTITY = 99;
+
+// Reads cart lines sent by the browser into [{ id, variantId, quantity }]. The cart holds one pack
+// size per product, so a later line for the same product replaces an earlier one.
+// Returns null if the lines are malformed; an empty cart is allowed.
+function normalizeCartLines(items) {
+    if (!Array.isArray(items) || items.length > MAX_CART_LINES) return null;
+    if (items.length > 0 && !isValidCartItems(items)) return null;
+    const lines = new Map();
+    for (const item of items) {
+        const id = parseInt(item.id);
+        lines.set(id, {
+            id,
+            variantId: item.variantId ? String(item.variantId) : null,
+            quantity: Math.min(parseInt(item.quantity), MAX_CART_LINE_QUANTITY)
+        });
+    }
+    return [...lines.values()];
+}
+
+// Combines the cart saved on the server with the one a browser had before logging in. A product in
+// both keeps the larger quantity, so merging the same cart twice changes nothing; if the two picked
+// different pack sizes, the browser's choice wins since it is the one the customer just made.
+function mergeCartLines(savedLines, localLines) {
+    const merged = new Map(savedLines.map(line => [line.id, line]));
+    for (const line of localLines) {
+        const saved = merged.get(line.id);
+        merged.set(line.id, saved && saved.variantId === line.variantId
+            ? { ...saved, quantity: Math.max(saved.quantity, line.quantity) }
+            : line);
+    }
+    return [...merged.values()];
+}
+
+// Checks cart lines against the catalog. Lines for products or pack sizes that no longer exist, or
+// that are out of stock, are dropped; quantities are lowered to the stock left and prices brought up
+// to date. A line without a pack size for a product that has them gets the first one in stock, as
+// the storefront shows. Returns { items, changes, subtotal }, where each change is
+// { id, variantId, name, type: 'removed'|'out_of_stock'|'quantity_reduced'|'price_changed', from, to }.
+async function revalidateCart(lines) {
+    const products = await Product.find({ legacyId: { $in: lines.map(l => l.id) } })
+        .select('legacyId name images price originalPrice stock variants')
+        .lean();
+
+    const items = [];
+    const changes = [];
+    for (const line of lines) {
+        const product = products.find(p => p.legacyId === line.id);
+        const variants = (product && product.variants) || [];
+        const defaultVariant = variants.find(v => !isStockTracked(v) || v.stock > 0) || variants[0];
+        const variantId = line.variantId || (defaultVariant ? String(defaultVariant._id) : null);
+        const resolved = resolveCartLine(products, { ...line, variantId });
+        const change = { id: line.id, variantId, name: product ? product.name : null };
+        if (!resolved) {
+            changes.push({ ...change, type: 'removed' });
+            continue;
+        }
+
+        const { variant } = resolved;
+        const stockHolder = variant || product;
+        let quantity = line.quantity;
+        if (isStockTracked(stockHolder) && quantity > stockHolder.stock) {
+            if (stockHolder.stock <= 0) {
+                changes.push({ ...change, type: 'out_of_stock' });
+                continue;
+            }
+            changes.push({ ...change, type: 'quantity_reduced', from: quantity, to: stockHolder.stock });
+            quantity = stockHolder.stock;
+        }
+        if (line.price != null && line.price !== stockHolder.price) {
+            changes.push({ ...change, type: 'price_changed', from: line.price, to: stockHolder.price });
+        }
+
+        items.push({
+            id: line.id,
+            variantId,
+            variantLabel: variant ? variant.label : null,
+            name: product.name,
+            image: (product.images && product.images[0]) || null,
+            price: stockHolder.price,
+            originalPrice: stockHolder.originalPrice || null,
+            quantity,
+            stock: isStockTracked(stockHolder) ? stockHolder.stock : null
+        });
+    }
+
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    return { items, changes, subtotal };
+}
+
+// Revalidates a customer's cart lines, saves what is left and returns the cart as sent to the browser.
+async function saveCustomerCart(identifier, lines) {
+    const cart = await revalidateCart(lines);
+    const saved = await Cart.findOneAndUpdate(
+        { identifier },
+        { $set: { items: cart.items.map(({ id, variantId, quantity, price }) => ({ id, variantId, quantity, price })) } },
+        { upsert: true, new: true }
+    ).lean();
+    return { ...cart, updatedAt: saved.updatedAt };
+}
+
+// ============================================
+// WISHLIST HELPERS
+// ============================================
+const MAX_WISHLIST_ITEMS = 100;
+
+// Reads a wishlist line sent by the browser: { id, variantId, addedAt }. A missing or future
+// `addedAt` becomes now. Returns null if the line is malformed.
+function normalizeWishlistItem(item) {
+    if (!item || !Number.isInteger(parseInt(item.id))) return null;
+    if (item.variantId && !mongoose.isValidObjectId(item.variantId)) return null;
+    const addedAt = item.addedAt ? new Date(item.addedAt) : null;
+    return {
+        id: parseInt(item.id),
+        variantId: item.variantId ? String(item.variantId) : null,
+        addedAt: addedAt && !isNaN(addedAt) && addedAt <= new Date() ? addedAt : new Date()
+    };
+}
+
+// Adds a guest's wishlist to the saved one. Products already saved keep their saved entry, and a
+// product listed more than once in the guest's wishlist keeps its most recent line; when there are
+// more than the limit, the most recently added are kept.
+function mergeWishlistItems(savedItems, localItems) {
+    const savedIds = new Set(savedItems.map(item => item.id));
+    const newItems = new Map();
+    for (const item of localItems) {
+        if (savedIds.has(item.id)) continue;
+        const seen = newItems.get(item.id);
+        if (!seen || new Date(item.addedAt) > new Date(seen.addedAt)) newItems.set(item.id, item);
+    }
+    return [...savedItems, ...newItems.values()]
+        .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt))
+        .slice(0, MAX_WISHLIST_ITEMS);
+}
+
+// The wishlist as sent to the browser, newest first, with each product's current name, image, price
+// and whether it can be bought. Products no longer in the catalog are left out, and a saved pack size
+// that no longer exists is dropped.
+async function describeWishlist(items) {
+    const products = await Product.find({ legacyId: { $in: items.map(item => item.id) } })
+        .select('legacyId name images price originalPrice stock variants')
+        .lean();
+    const inStock = (stockHolder) => !isStockTracked(stockHolder) || stockHolder.stock > 0;
+
+    return [...items].sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt)).flatMap(item => {
+        const product = products.find(p => p.legacyId === item.id);
+        if (!product) return [];
+        const variants = product.variants || [];
+        const variant = variants.find(v => String(v._id) === item.variantId) || null;
+        const priced = variant || product;
+        return [{
+            id: item.id,
+            variantId: variant ? String(variant._id) : null,
+            variantLabel: variant ? variant.label : null,
+            addedAt: item.addedAt,
+            name: product.name,
+            image: (product.images && product.images[0]) || null,
+            price: priced.price,
+            originalPrice: priced.originalPrice || null,
+            inStock: variant || variants.length === 0 ? inStock(priced) : variants.some(inStock)
+        }];
+    });
+}
+
+// ============================================
+// COUPON HELPERS
+// ============================================
+class CouponError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CouponError';
+    }
+}
+
+// Checks a coupon code against a priced cart and works out the discount.
+// `customer` ({ email, phone }) is optional; without it the per-customer limit is not checked yet.
+// Resolves to { coupon: { code, type, value }, description, discount } or throws a CouponError.
+async function evaluateCoupon(code, pricedCart, customer = {}) {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() }).lean();
+    const now = new Date();
+    if (!coupon || !coupon.active) throw new CouponError('This coupon code is not valid.');
+    if (coupon.startsAt && coupon.startsAt > now) throw new CouponError('This coupon is not active yet.');
+    if (coupon.expiresAt && coupon.expiresAt < now) throw new CouponError('This coupon has expired.');
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        throw new CouponError('This coupon has reached its usage limit.');
+    }
+    if (pricedCart.total < coupon.minCartValue) {
+        throw new CouponError(`Add items worth ₹${roundMoney(coupon.minCartValue - pricedCart.total)} more to use this coupon.`);
+    }
+
+    const identifiers = [customer.email, customer.phone].filter(Boolean);
+    if (coupon.perCustomerLimit !== null && identifiers.length > 0) {
+        const timesUsed = await Order.countDocuments({
+            'coupon.code': coupon.code,
+            $or: [{ 'user.email': { $in: identifiers } }, { 'user.phone': { $in: identifiers } }]
+        });
+        if (timesUsed >= coupon.perCustomerLimit) {
+            throw new CouponError('You have already used this coupon the maximum number of times.');
+        }
+    }
+
+    let eligibleItems = pricedCart.items;
+    if (coupon.categories.length > 0 || coupon.productIds.length > 0) {
+        const products = await Product.find({ legacyId: { $in: pricedCart.items.map(i => i.id) } })
+            .select('legacyId category')
+            .lean();
+        eligibleItems = pricedCart.items.filter(item => {
+            const product = products.find(p => p.legacyId === item.id);
+            return coupon.productIds.includes(item.id) ||
+                (product && (product.category || []).some(cat => coupon.categories.includes(cat)));
+        });
+        if (eligibleItems.length === 0) {
+            throw new CouponError('This coupon does not apply to the items in your cart.');
+        }
+    }
+
+    const eligibleTotal = eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    let discount = coupon.type === 'percentage' ? eligibleTotal * coupon.value / 100 : coupon.value;
+    if (coupon.type === 'percentage' && coupon.maxDiscount !== null) discount = Math.min(discount, coupon.maxDiscount);
+    discount = roundMoney(Math.min(discount, eligibleTotal));
+
+    return {
+        coupon: { code: coupon.code, type: coupon.type, value: coupon.value },
+        description: coupon.description,
+        discount
+    };
+}
+
+// Counts a use of the coupon for a confirmed order. Orders held for an amount mismatch or a stock
+// conflict aren't counted, as they will be refunded. The count only goes up while it is under the
+// usage limit, so parallel checkouts can't take it past the limit; the customer has paid the
+// discounted price by now, so an order that comes in over the limit keeps its discount and is logged.
+async function redeemCoupon(code, orderId) {
+    const redeemed = await Coupon.updateOne(
+        { code, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        { $inc: { usedCount: 1 } }
+    );
+    if (redeemed.modifiedCount === 0) {
+        console.warn(`Coupon ${code} had reached its usage limit when order ${orderId} was paid; the discount was honoured.`);
+    }
+}
+
+// ============================================
+// SHIPPING & GST HELPERS
+// ============================================
+const INDIAN_STATES = [
+    { code: 'AN', name: 'Andaman and Nicobar Islands' }, { code: 'AP', name: 'Andhra Pradesh' },
+    { code: 'AR', name: 'Arunachal Pradesh' }, { code: 'AS', name: 'Assam' }, { code: 'BR', name: 'Bihar' },
+    { code: 'CH', name: 'Chandigarh' }, { code: 'CG', name: 'Chhattisgarh' },
+    { code: 'DN', name: 'Dadra and Nagar Haveli and Daman and Diu' }, { code: 'DL', name: 'Delhi' },
+    { code: 'GA', name: 'Goa' }, { code: 'GJ', name: 'Gujarat' }, { code: 'HR', name: 'Haryana' },
+    { code: 'HP', name: 'Himachal Pradesh' }, { code: 'JK', name: 'Jammu and Kashmir' },
+    { code: 'JH', name: 'Jharkhand' }, { code: 'KA', name: 'Karnataka' }, { code: 'KL', name: 'Kerala' },
+    { code: 'LA', name: 'Ladakh' }, { code: 'LD', name: 'Lakshadweep' }, { code: 'MP', name: 'Madhya Pradesh' },
+    { code: 'MH', name: 'Maharashtra' }, { code: 'MN', name: 'Manipur' }, { code: 'ML', name: 'Meghalaya' },
+    { code: 'MZ', name: 'Mizoram' }, { code: 'NL', name: 'Nagaland' }, { code: 'OD', name: 'Odisha' },
+    { code: 'PY', name: 'Puducherry' }, { code: 'PB', name: 'Punjab' }, { code: 'RJ', name: 'Rajasthan' },
+    { code: 'SK', name: 'Sikkim' }, { code: 'TN', name: 'Tamil Nadu' }, { code: 'TS', name: 'Telangana' },
+    { code: 'TR', name: 'Tripura' }, { code: 'UP', name: 'Uttar Pradesh' }, { code: 'UK', name: 'Uttarakhand' },
+    { code: 'WB', name: 'West Bengal' }
+];
+
+// Compares state names without case, spaces or punctuation, with "&" read as "and", so
+// "Jammu & Kashmir", "jammu and kashmir" and "Tamilnadu" all match.
+const stateKey = (state) => String(state || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+// Other names, short forms and old codes customers type, keyed by stateKey().
+const STATE_ALIASES = {
+    orissa: 'Odisha', or: 'Odisha', pondicherry: 'Puducherry', pondy: 'Puducherry',
+    newdelhi: 'Delhi', nctofdelhi: 'Delhi', delhinct: 'Delhi',
+    uttaranchal: 'Uttarakhand', ut: 'Uttarakhand', tg: 'Telangana', telengana: 'Telangana',
+    jandk: 'Jammu and Kashmir', kashmir: 'Jammu and Kashmir',
+    andamanandnicobar: 'Andaman and Nicobar Islands', andaman: 'Andaman and Nicobar Islands',
+    andamannicobar: 'Andaman and Nicobar Islands', andamanandnicobarisland: 'Andaman and Nicobar Islands',
+    chattisgarh: 'Chhattisgarh', chhatisgarh: 'Chhattisgarh', ct: 'Chhattisgarh',
+    dadraandnagarhaveli: 'Dadra and Nagar Haveli and Daman and Diu', damananddiu: 'Dadra and Nagar Haveli and Daman and Diu',
+    dnhdd: 'Dadra and Nagar Haveli and Daman and Diu', dd: 'Dadra and Nagar Haveli and Daman and Diu',
+    tamilnad: 'Tamil Nadu', westbangal: 'West Bengal', maharastra: 'Maharashtra'
+};
+
+// Maps whatever the customer typed in the state field ("AP", "andhra pradesh", "Orissa", "J&K")
+// to the official state name, or null if it isn't recognised.
+const normalizeState = (state) => {
+    const key = stateKey(state);
+    if (!key) return null;
+    const match = INDIAN_STATES.find(s => stateKey(s.name) === key || s.code.toLowerCase() === key);
+    return match ? match.name : (STATE_ALIASES[key] || null);
+};
+
+// Used until an admin saves their own rules under the `chargesConfig` key.
+const DEFAULT_CHARGES_CONFIG = {
+    sellerState: process.env.SELLER_STATE || 'Andhra Pradesh',
+    // Catalog prices are shown to customers as MRP, so by default GST is already included in them.
+    pricesIncludeGst: true,
+    shipping: {
+        defaultRate: 80,
+        freeShippingThreshold: 999,
+        // A pincode prefix match wins over a state match; the longest prefix wins among pincodes.
+        zones: [
+            { name: 'Andhra Pradesh & Telangana', states: ['Andhra Pradesh', 'Telangana'], pincodePrefixes: [], rate: 40 },
+            { name: 'South India', states: ['Karnataka', 'Tamil Nadu', 'Kerala', 'Puducherry', 'Goa'], pincodePrefixes: [], rate: 60 },
+            { name: 'North East & Islands', states: ['Arunachal Pradesh', 'Assam', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Sikkim', 'Tripura', 'Andaman and Nicobar Islands', 'Lakshadweep'], pincodePrefixes: ['744'], rate: 150 }
+        ]
+    },
+    gst: {
+        defaultRate: 18,
+        categoryRates: [
+            { category: 'Ghee', rate: 5 },
+            { category: 'Food & Wellness', rate: 5 },
+            { category: 'Incense', rate: 5 },
+            { category: 'Pooja Items', rate: 5 },
+            { category: 'Fertilizer', rate: 5 },
+            { category: 'Panchagavya', rate: 5 }
+        ]
+    }
+};
+
+// The GST rate for a product: the first of its categories with a configured rate, else the default.
+const gstRateFor = (product, config) => {
+    const rateEntry = (config.gst.categoryRates || []).find(r => product && (product.category || []).includes(r.category));
+    return rateEntry ? rateEntry.rate : config.gst.defaultRate;
+};
+
+async function getChargesConfig() {
+    const config = await Config.findOne({ key: 'chargesConfig' }).lean();
+    return config && config.value ? config.value : DEFAULT_CHARGES_CONFIG;
+}
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+// Returns an error message for a malformed charges config, or null if it can be saved.
+function validateChargesConfig(config) {
+    if (!config || typeof config !== 'object') return 'Configuration must be an object.';
+    if (!normalizeState(config.sellerState)) return 'sellerState must be an Indian state.';
+    if (typeof config.pricesIncludeGst !== 'boolean') return 'pricesIncludeGst must be true or false.';
+
+    const { shipping, gst } = config;
+    if (!shipping || !isNonNegativeNumber(shipping.defaultRate)) return 'shipping.defaultRate must be a non-negative number.';
+    if (shipping.freeShippingThreshold !== null && !isNonNegativeNumber(shipping.freeShippingThreshold)) {
+        return 'shipping.freeShippingThreshold must be a non-negative number or null.';
+    }
+    if (!Array.isArray(shipping.zones)) return 'shipping.zones must be a list.';
+    for (const zone of shipping.zones) {
+        if (!zone.name || !isNonNegativeNumber(zone.rate)) return 'Every shipping zone needs a name and a non-negative rate.';
+        const unknownState = (zone.states || []).find(state => !normalizeState(state));
+        if (unknownState) return `Unknown state "${unknownState}" in zone ${zone.name}.`;
+        if ((zone.pincodePrefixes || []).some(prefix => !/^\d{1,6}$/.test(String(prefix)))) {
+            return `Pincode prefixes in zone ${zone.name} must be 1 to 6 digits.`;
+        }
+    }
+
+    if (!gst || !isNonNegativeNumber(gst.defaultRate) || gst.defaultRate > 100) return 'gst.defaultRate must be between 0 and 100.';
+    if (!Array.isArray(gst.categoryRates)) return 'gst.categoryRates must be a list.';
+    if (gst.categoryRates.some(r => !r.category || !isNonNegativeNumber(r.rate) || r.rate > 100)) {
+        return 'Every GST category rate needs a category and a rate between 0 and 100.';
+    }
+    return null;
+}
+
+// Picks the shipping zone for an address. Returns { name, rate }; name is null for the default rate.
+function findShippingZone(shipping, state, zip) {
+    const pincode = String(zip || '').replace(/\s/g, '');
+    let best = null;
+    for (const zone of shipping.zones) {
+        for (const prefix of zone.pincodePrefixes || []) {
+            if (pincode.startsWith(String(prefix)) && (!best || String(prefix).length > best.prefixLength)) {
+                best = { zone, prefixLength: String(prefix).length };
+            }
+        }
+    }
+    if (best) return { name: best.zone.name, rate: best.zone.rate };
+
+    const stateName = normalizeState(state);
+    const stateZone = stateName && shipping.zones.find(zone => (zone.states || []).some(s => normalizeState(s) === stateName));
+    return stateZone ? { name: stateZone.name, rate: stateZone.rate } : { name: null, rate: shipping.defaultRate };
+}
+
+// Adds shipping and GST to a priced cart. Sets `gstRate` on each item and returns
+// { shipping, shippingZone, tax, total } where `total` is the amount to charge.
+// Without a recognised state the tax is reported as inter-state (IGST); the amount is the same either way.
+async function calculateCharges(pricedCart, { discount = 0, state, zip } = {}) {
+    const config = await getChargesConfig();
+    const products = await Product.find({ legacyId: { $in: pricedCart.items.map(i => i.id) } })
+        .select('legacyId category')
+        .lean();
+
+    const itemsTotal = pricedCart.total;
+    const paidShare = itemsTotal > 0 ? 1 - discount / itemsTotal : 1;
+    let taxableValue = 0;
+    let taxTotal = 0;
+    for (const item of pricedCart.items) {
+        item.gstRate = gstRateFor(products.find(p => p.legacyId === item.id), config);
+
+        // A coupon lowers the taxable value of every line in proportion.
+        const lineAmount = item.price * item.quantity * paidShare;
+        const lineTax = config.pricesIncludeGst
+            ? lineAmount * item.gstRate / (100 + item.gstRate)
+            : lineAmount * item.gstRate / 100;
+        taxableValue += config.pricesIncludeGst ? lineAmount - lineTax : lineAmount;
+        taxTotal += lineTax;
+    }
+    taxTotal = roundMoney(taxTotal);
+
+    const placeOfSupply = normalizeState(state);
+    const supply = placeOfSupply && placeOfSupply === normalizeState(config.sellerState) ? 'intra_state' : 'inter_state';
+    const cgst = supply === 'intra_state' ? roundMoney(taxTotal / 2) : 0;
+    const tax = {
+        supply,
+        placeOfSupply: placeOfSupply || undefined,
+        inclusive: config.pricesIncludeGst,
+        taxableValue: roundMoney(taxableValue),
+        cgst,
+        sgst: supply === 'intra_state' ? roundMoney(taxTotal - cgst) : 0,
+        igst: supply === 'inter_state' ? taxTotal : 0,
+        total: taxTotal
+    };
+
+    const goodsTotal = roundMoney(itemsTotal - discount);
+    const { freeShippingThreshold } = config.shipping;
+    const zone = findShippingZone(config.shipping, state, zip);
+    const shipping = freeShippingThreshold !== null && goodsTotal >= freeShippingThreshold ? 0 : zone.rate;
+
+    return {
+        shipping,
+        shippingZone: zone.name || undefined,
+        freeShippingThreshold,
+        tax,
+        total: roundMoney(goodsTotal + shipping + (config.pricesIncludeGst ? 0 : taxTotal))
+    };
+}
+
+// ============================================
+// ADDRESS HELPERS
+// ============================================
+// Indian pincodes by their first three digits (sorting district). Exact pincodes can be added under
+// `pincodes`; only those name the pincode's own city.
+const PINCODE_DATA = require('./data/pincodes.json');
+const MAX_SAVED_ADDRESSES = 20;
+
+class AddressError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AddressError';
+        this.status = status;
+    }
+}
+
+// Looks a pincode up in the bundled dataset. Returns { pincode, city, district, states }, or null if
+// the pincode isn't six digits or isn't known. `city` is only set for exact pincode entries, since a
+// sorting district covers many towns (every 500xxx pincode isn't in Hyderabad); `district` is the
+// city of the district's head post office, when known.
+function lookupPincode(zip) {
+    const pincode = String(zip || '').replace(/\s/g, '');
+    if (!/^[1-9]\d{5}$/.test(pincode)) return null;
+    const exact = PINCODE_DATA.pincodes[pincode];
+    const prefix = PINCODE_DATA.prefixes[pincode.slice(0, 3)];
+    if (!exact && !prefix) return null;
+    return {
+        pincode,
+        city: (exact && exact.city) || null,
+        district: (prefix && prefix.city) || null,
+        states: (exact || prefix).states
+    };
+}
+
+// Checks that a delivery pincode exists and belongs to the state given, so a typo is caught before
+// the parcel is sent. Returns { zip, state } cleaned up (the official state name), or throws an AddressError.
+function checkPincode(zip, state) {
+    const match = lookupPincode(zip);
+    if (!match) throw new AddressError(`"${String(zip || '').trim()}" is not a valid Indian pincode. Please check it.`);
+    const stateName = normalizeState(state);
+    if (!stateName) throw new AddressError('Please enter a valid Indian state.');
+    if (!match.states.includes(stateName)) {
+        throw new AddressError(`Pincode ${match.pincode} is in ${match.states.join(' or ')}, not ${stateName}. Please check the pincode and state.`);
+    }
+    return { zip: match.pincode, state: stateName };
+}
+
+// Reads an address-book entry from a request body, with the pincode checked against the state and
+// the phone number reduced to its 10 digits. Other fields are validated by AddressSchema.
+function readAddress(body) {
+    const address = {};
+    for (const field of ['label', 'firstname', 'lastname', 'phone', 'address1', 'address2', 'city']) {
+        address[field] = typeof body[field] === 'string' ? body[field].trim() : '';
+    }
+    address.phone = address.phone.replace(/\D/g, '').replace(/^(91|0)(?=\d{10}$)/, '');
+    return { ...address, ...checkPincode(body.zip, body.state) };
+}
+
+// ============================================
+// INVOICE HELPERS
+// ============================================
+const SELLER_DETAILS = {
+    name: process.env.SELLER_NAME || 'Brundavanam Goshala',
+    address: process.env.SELLER_ADDRESS || 'Manyam Parvathipuram District, Andhra Pradesh, India',
+    gstin: process.env.SELLER_GSTIN || ''
+};
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'BG';
+
+// Invoice numbers run in one series per Indian financial year (April to March), e.g. BG/2026-27/00042.
+async function allocateInvoiceNumber(date) {
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    const financialYear = `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    const counter = await Config.findOneAndUpdate(
+        { key: `invoiceSequence:${financialYear}` },
+        { $inc: { value: 1 } },
+        { upsert: true, new: true }
+    ).lean();
+    return `${INVOICE_PREFIX}/${financialYear}/${String(counter.value).padStart(5, '0')}`;
+}
+
+// Builds the invoice lines and totals for an order from its items, discount and tax breakdown.
+// Orders placed before GST was tracked get today's rates, taxed as included in the price.
+async function buildInvoice(order, { number, date }) {
+    const [config, products] = await Promise.all([
+        getChargesConfig(),
+        Product.find({ legacyId: { $in: order.items.map(i => i.id) } }).select('legacyId category hsnCode').lean()
+    ]);
+    const sellerState = normalizeState(config.sellerState);
+    const placeOfSupply = (order.tax && order.tax.placeOfSupply) || normalizeState(order.user.state);
+    const supply = order.tax && order.tax.supply ? order.tax.supply : (placeOfSupply === sellerState ? 'intra_state' : 'inter_state');
+    const inclusive = order.tax ? order.tax.inclusive !== false : true;
+    const paidShare = order.subtotal > 0 ? 1 - (order.discount || 0) / order.subtotal : 1;
+
+    const lines = order.items.map(item => {
+        const product = products.find(p => p.legacyId === item.id);
+        const gstRate = item.gstRate !== undefined && item.gstRate !== null ? item.gstRate : gstRateFor(product, config);
+        const gross = item.price * item.quantity;
+        const net = gross * paidShare;
+        const taxableValue = roundMoney(inclusive ? net * 100 / (100 + gstRate) : net);
+        const tax = roundMoney(inclusive ? net - taxableValue : net * gstRate / 100);
+        const cgst = supply === 'intra_state' ? roundMoney(tax / 2) : 0;
+        return {
+            description: item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name,
+            hsn: product && product.hsnCode ? product.hsnCode : '',
+            quantity: item.quantity,
+            unitPrice: item.price,
+            discount: roundMoney(gross - net),
+            taxableValue,
+            gstRate,
+            cgst,
+            sgst: supply === 'intra_state' ? roundMoney(tax - cgst) : 0,
+            igst: supply === 'inter_state' ? tax : 0,
+            amount: roundMoney(taxableValue + tax)
+        };
+    });
+
+    const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0));
+    const shipping = order.shipping || 0;
+    const computedTotal = roundMoney(sum('amount') + shipping);
+    return {
+        number,
+        date,
+        generatedAt: new Date(),
+        seller: { ...SELLER_DETAILS, state: sellerState },
+        supply,
+        placeOfSupply,
+        lines,
+        shipping,
+        totals: {
+            taxableValue: sum('taxableValue'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            // Per-line rounding can leave the lines a paisa or two away from what was charged.
+            roundOff: roundMoney(order.total - computedTotal),
+            total: order.total
+        }
+    };
+}
+
+// Gives an order its invoice, allocating a number the first time. Calling it again rebuilds the
+// invoice from current product and seller details but keeps the original number and date.
+// `order` must be a Mongoose document.
+async function issueInvoice(order) {
+    const number = order.invoice && order.invoice.number ? order.invoice.number : await allocateInvoiceNumber(new Date());
+    const date = order.invoice && order.invoice.date ? order.invoice.date : new Date();
+    order.invoice = await buildInvoice(order, { number, date });
+    await order.save();
+    return order.invoice;
+}
+
+const formatInvoiceMoney = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+
+// Streams an order's invoice as a PDF. The built-in PDF fonts have no rupee sign, hence "Rs.".
+function writeInvoicePdf(order, res) {
+    const { invoice } = order;
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const filename = `invoice-${invoice.number.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
+
+    doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(11).text(invoice.seller.name);
+    doc.font('Helvetica').fontSize(9)
+        .text(invoice.seller.address)
+        .text(`GSTIN: ${invoice.seller.gstin || 'Not registered'}`)
+        .text(`State: ${invoice.seller.state || ''}`);
+
+    const detailsTop = doc.y + 10;
+    doc.font('Helvetica-Bold').text('Bill To / Ship To', 40, detailsTop);
+    doc.font('Helvetica')
+        .text(`${order.user.firstname} ${order.user.lastname}`)
+        .text([order.user.address1, order.user.address2].filter(Boolean).join(', '), { width: 260 })
+        .text(`${order.user.city}, ${order.user.state} ${order.user.zip}`)
+        .text(`Phone: ${order.user.phone}`);
+    const billToBottom = doc.y;
+    doc.text(`Invoice No: ${invoice.number}`, 340, detailsTop)
+        .text(`Invoice Date: ${new Date(invoice.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}`)
+        .text(`Order ID: ${order.orderId}`)
+        .text(`Place of Supply: ${invoice.placeOfSupply || order.user.state}`)
+        .text(`Supply: ${invoice.supply === 'intra_state' ? 'Intra-state (CGST + SGST)' : 'Inter-state (IGST)'}`);
+
+    const isIntraState = invoice.supply === 'intra_state';
+    const columns = [
+        { header: '#', width: 18 },
+        { header: 'Item', width: 122 },
+        { header: 'HSN', width: 45 },
+        { header: 'Qty', width: 25, align: 'right' },
+        { header: 'Rate', width: 50, align: 'right' },
+        { header: 'Discount', width: 45, align: 'right' },
+        { header: 'Taxable', width: 55, align: 'right' },
+        { header: 'GST %', width: 30, align: 'right' },
+        ...(isIntraState
+            ? [{ header: 'CGST', width: 35, align: 'right' }, { header: 'SGST', width: 35, align: 'right' }]
+            : [{ header: 'IGST', width: 70, align: 'right' }]),
+        { header: 'Amount', width: 55, align: 'right' }
+    ];
+    const drawRow = (cells, y, font) => {
+        let x = 40;
+        doc.font(font).fontSize(8);
+        const heights = cells.map((cell, i) => doc.heightOfString(String(cell), { width: columns[i].width - 4 }));
+        cells.forEach((cell, i) => {
+            doc.text(String(cell), x + 2, y, { width: columns[i].width - 4, align: columns[i].align || 'left' });
+            x += columns[i].width;
+        });
+        return y + Math.max(...heights) + 6;
+    };
+
+    let y = Math.max(billToBottom, doc.y) + 20;
+    y = drawRow(columns.map(c => c.header), y, 'Helvetica-Bold');
+    doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+    invoice.lines.forEach((line, index) => {
+        if (y > 720) {
+            doc.addPage();
+            y = 40;
+        }
+        y = drawRow([
+            index + 1, line.description, line.hsn || '-', line.quantity, line.unitPrice.toFixed(2), line.discount.toFixed(2),
+            line.taxableValue.toFixed(2), line.gstRate,
+            ...(isIntraState ? [line.cgst.toFixed(2), line.sgst.toFixed(2)] : [line.igst.toFixed(2)]),
+            line.amount.toFixed(2)
+        ], y, 'Helvetica');
+    });
+    doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+
+    const totals = [
+        ['Taxable Value', invoice.totals.taxableValue],
+        ...(isIntraState ? [['CGST', invoice.totals.cgst], ['SGST', invoice.totals.sgst]] : [['IGST', invoice.totals.igst]]),
+        ['Shipping', invoice.shipping],
+        ...(invoice.totals.roundOff ? [['Round Off', invoice.totals.roundOff]] : []),
+        ['Invoice Total', invoice.totals.total]
+    ];
+    y += 6;
+    totals.forEach(([label, amount], index) => {
+        const font = index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+        doc.font(font).fontSize(9)
+            .text(label, 340, y, { width: 110 })
+            .text(formatInvoiceMoney(amount), 450, y, { width: 105, align: 'right' });
+        y += 14;
+    });
+
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text('This is a computer-generated invoice and does not require a signature.', 40, y + 30, { align: 'center', width: 515 });
+    doc.end();
+}
+
+// ============================================
+// ORDER RECONCILIATION
+// ============================================
+// /capture and the webhook can both report the same payment, in either order. Claiming the
+// checkout first makes sure only one of them turns it into an Order; a claim left behind by
+// a crashed request expires so a later retry can pick it up.
+const CHECKOUT_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+const claimCheckout = (razorpayOrderId) => Checkout.findOneAndUpdate(
+    {
+        razorpayOrderId,
+        $or: [{ claimedAt: null }, { claimedAt: { $lt: new Date(Date.now() - CHECKOUT_CLAIM_TIMEOUT_MS) } }]
+    },
+    { claimedAt: new Date() },
+    { new: true }
+).lean();
+
+// Saves the Order for a paid checkout, taking stock unless the paid amount is wrong.
+async function createOrderFromCheckout(checkout, payment, { user, signature } = {}) {
+    const orderId = checkout.razorpayOrderId;
+    const items = checkout.items.map(({ _id, ...item }) => item);
+    const order = new Order({
+        orderId,
+        user: checkout.user || user,
+        items,
+        total: checkout.total,
+        subtotal: checkout.subtotal,
+        discount: checkout.discount,
+        coupon: checkout.coupon,
+        shipping: checkout.shipping,
+        shippingZone: checkout.shippingZone,
+        tax: checkout.tax,
+        razorpay: {
+            orderId,
+            paymentId: payment.id,
+            signature,
+            amountPaid: payment.amount
+        },
+        statusHistory: [{ status: 'Pending', note: 'Order placed' }]
+    });
+
+    if (payment.amount !== checkout.amount || payment.order_id !== orderId) {
+        // Keep the order for review instead of fulfilling it or losing track of the money.
+        console.error(`Amount mismatch on order ${orderId} (payment ${payment.id}): paid ${payment.amount} paise, expected ${checkout.amount}.`);
+        order.paymentStatus = 'amount_mismatch';
+        await order.save();
+        await notifyNewOrder(order);
+        return { order: order.toObject() };
+    }
+
+    const stockResult = await decrementStock(items, orderId);
+    // The money is already taken, so an oversold order is still recorded for an admin to refund.
+    order.paymentStatus = stockResult.success ? 'confirmed' : 'stock_conflict';
+    try {
+        await order.save();
+    } catch (saveError) {
+        if (stockResult.success) await restoreStock(stockResult.applied);
+        throw saveError;
+    }
+
+    if (stockResult.success) {
+        if (checkout.coupon && checkout.coupon.code) await redeemCoupon(checkout.coupon.code, orderId);
+        try {
+            await issueInvoice(order);
+        } catch (invoiceError) {
+            // The payment is safe; an admin can generate the invoice from the dashboard.
+            console.error(`Failed to issue invoice for order ${orderId}:`, invoiceError);
+        }
+    } else {
+        console.error(`Stock conflict on paid order ${orderId} (payment ${payment.id}): product ${stockResult.failedItem.id} sold out.`);
+    }
+    await notifyNewOrder(order);
+    return { order: order.toObject(), failedItem: stockResult.failedItem };
+}
+
+// Creates the Order for a captured Razorpay payment exactly once.
+// Resolves to { order, failedItem } when this call or an earlier one saved it, { order: null }
+// while another request holds the claim, or { unknownCheckout: true } when the Razorpay order
+// was not created by this store.
+async function reconcilePaidOrder(razorpayOrderId, payment, details) {
+    const existingOrder = await Order.findOne({ orderId: razorpayOrderId }).lean();
+    if (existingOrder) return { order: existingOrder };
+
+    const checkout = await claimCheckout(razorpayOrderId);
+    if (!checkout) {
+        const isKnown = await Checkout.exists({ razorpayOrderId });
+        if (isKnown) return { order: null };
+        // The claim may have been released by a request that finished saving the order.
+        const savedOrder = await Order.findOne({ orderId: razorpayOrderId }).lean();
+        return savedOrder ? { order: savedOrder } : { unknownCheckout: true };
+    }
+    if (!checkout.user && !(details && details.user)) {
+        // Leave it for /capture, which brings the shipping details with it.
+        await Checkout.updateOne({ _id: checkout._id }, { claimedAt: null });
+        throw new Error(`No shipping details stored for Razorpay order ${razorpayOrderId}.`);
+    }
+
+    try {
+        // The other request may have saved the order between our first look and the claim.
+        const savedOrder = await Order.findOne({ orderId: razorpayOrderId }).lean();
+        if (savedOrder) return { order: savedOrder };
+        return await createOrderFromCheckout(checkout, payment, details);
+    } catch (error) {
+        await Checkout.updateOne({ _id: checkout._id }, { claimedAt: null });
+        if (error.code === 11000) {
+            return { order: await Order.findOne({ orderId: razorpayOrderId }).lean() };
+        }
+        throw error;
+    }
+}
+
+// The HTTP status and body /capture answers with for a saved order.
+const captureResponse = (order, failedItem) => {
+    if (order.paymentStatus === 'amount_mismatch') {
+        return { status: 409, body: {
+            success: false,
+            error: 'The amount paid does not match your order total. Your order is on hold and our team will contact you.',
+            orderId: order.orderId
+        } };
+    }
+    if (order.paymentStatus === 'stock_conflict') {
+        return { status: 409, body: {
+            success: false,
+            error: `Sorry, ${(failedItem && failedItem.name) || 'an item in your order'} sold out while you were paying. Your payment has been recorded and will be refunded.`,
+            orderId: order.orderId
+        } };
+    }
+    return { status: 200, body: {
+        success: true,
+        message: 'Payment successful and order created',
+        orderId: order.orderId
+    } };
+};
+
+// Payment status once refunds are taken into account. Amounts are compared in paise.
+const refundedPaymentStatus = (order) => {
+    const refundedPaise = order.refunds
+        .filter(r => r.status === 'processed')
+        .reduce((sum, r) => sum + Math.round(r.amount * 100), 0);
+    if (refundedPaise === 0) return order.paymentStatus;
+    const paidPaise = order.razorpay && order.razorpay.amountPaid ? order.razorpay.amountPaid : Math.round(order.total * 100);
+    return refundedPaise >= paidPaise ? 'refunded' : 'partially_refunded';
+};
+
+// Adds or updates a refund on its order, keyed by the Razorpay refund id.
+async function recordRefund(refund) {
+    const order = await Order.findOne({ 'razorpay.paymentId': refund.payment_id });
+    if (!order) {
+        console.warn(`Refund ${refund.id} is for payment ${refund.payment_id}, which has no order.`);
+        return null;
+    }
+
+    const existing = order.refunds.find(r => r.refundId === refund.id);
+    if (existing) {
+        existing.status = refund.status;
+    } else {
+        order.refunds.push({
+            refundId: refund.id,
+            amount: refund.amount / 100,
+            status: refund.status,
+            reason: refund.notes && refund.notes.reason
+        });
+    }
+    order.paymentStatus = refundedPaymentStatus(order);
+    await order.save();
+    return order;
+}
+
+// ============================================
+// REFUND HELPERS
+// ============================================
+class RefundError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RefundError';
+        this.status = status;
+    }
+}
+
+const orderLineKey = (line) => `${line.id}:${line.variantId || ''}`;
+
+// Payment statuses of orders whose items were taken from stock. Orders held for an amount mismatch
+// or a stock conflict never took any, so refunding them puts nothing back.
+const STOCK_TAKEN_PAYMENT_STATUSES = ['confirmed', 'partially_refunded'];
+
+// How many of each order line are already covered by refunds that haven't failed.
+const refundedQuantities = (order) => {
+    const quantities = new Map();
+    order.refunds
+        .filter(r => r.status !== 'failed')
+        .forEach(r => r.items.forEach(item => {
+            quantities.set(orderLineKey(item), (quantities.get(orderLineKey(item)) || 0) + item.quantity);
+        }));
+    return quantities;
+};
+
+// Refunds a captured order, either in full or for some quantity of individual lines, and
+// records the refund on the order. `order` must be a Mongoose document.
+// `items` is [{ id, variantId, quantity }]; with `full` the remaining balance is refunded.
+// `restock` returns the lines to stock, if the order took them from stock in the first place.
+async function refundOrder(order, { items, full, reason, restock }) {
+    if (!order.razorpay || !order.razorpay.paymentId) {
+        throw new RefundError('This order has no captured payment to refund.');
+    }
+    if (!reason || !String(reason).trim()) {
+        throw new RefundError('A refund reason is required.');
+    }
+
+    const paidPaise = order.razorpay.amountPaid || Math.round(order.total * 100);
+    const refundedPaise = order.refunds
+        .filter(r => r.status !== 'failed')
+        .reduce((sum, r) => sum + Math.round(r.amount * 100), 0);
+    const remainingPaise = paidPaise - refundedPaise;
+    if (remainingPaise <= 0) {
+        throw new RefundError('This order has already been fully refunded.', 409);
+    }
+
+    const alreadyRefunded = refundedQuantities(order);
+    let lines;
+    if (full) {
+        lines = order.items
+            .map(item => ({ id: item.id, variantId: item.variantId, price: item.price, gstRate: item.gstRate, quantity: item.quantity - (alreadyRefunded.get(orderLineKey(item)) || 0) }))
+            .filter(line => line.quantity > 0);
+    } else {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new RefundError('Choose at least one item to refund.');
+        }
+        lines = items.map(requested => {
+            const key = orderLineKey({ id: parseInt(requested.id), variantId: requested.variantId });
+            const item = order.items.find(i => orderLineKey(i) === key);
+            const quantity = parseInt(requested.quantity);
+            if (!item) throw new RefundError(`Product ${requested.id} is not part of this order.`);
+            const refundable = item.quantity - (alreadyRefunded.get(key) || 0);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > refundable) {
+                throw new RefundError(`Only ${refundable} of ${item.name} can still be refunded.`);
+            }
+            return { id: item.id, variantId: item.variantId, price: item.price, gstRate: item.gstRate, quantity };
+        });
+    }
+
+    // Item refunds give back what was actually paid, so a coupon discount is shared across the lines
+    // and GST charged on top of the price is returned with it. Shipping is only refunded in full refunds.
+    const paidShare = order.subtotal > 0 ? 1 - (order.discount || 0) / order.subtotal : 1;
+    const addedTax = (line) => (order.tax && order.tax.inclusive === false ? (line.gstRate || 0) / 100 : 0);
+    const linesPaise = lines.reduce((sum, line) => sum + Math.round(line.price * line.quantity * paidShare * (1 + addedTax(line)) * 100), 0);
+    const amountPaise = full ? remainingPaise : Math.min(linesPaise, remainingPaise);
+    const restockLines = !!restock && lines.length > 0 && STOCK_TAKEN_PAYMENT_STATUSES.includes(order.paymentStatus);
+    const refund = await refundsClient.create(order.razorpay.paymentId, {
+        amount: amountPaise,
+        notes: { reason: String(reason).trim(), orderId: order.orderId }
+    });
+
+    order.refunds.push({
+        refundId: refund.id,
+        amount: refund.amount / 100,
+        status: refund.status,
+        reason: String(reason).trim(),
+        items: lines.map(({ id, variantId, quantity }) => ({ id, variantId, quantity })),
+        restocked: restockLines
+    });
+    order.paymentStatus = refundedPaymentStatus(order);
+    await order.save();
+
+    if (restockLines) {
+        await returnToStock(lines, `Refund: ${String(reason).trim()}`, order.orderId);
+    }
+    return order;
+}
+
+// Refunds whatever is left of a paid order that is being cancelled or returned. Orders without a
+// captured payment, or already refunded in full (e.g. from the Razorpay dashboard), are left as they are.
+async function refundRemaining(order, { reason, restock }) {
+    if (!order.razorpay || !order.razorpay.paymentId) return order;
+    try {
+        return await refundOrder(order, { full: true, reason, restock });
+    } catch (error) {
+        if (error instanceof RefundError && error.status === 409) return order;
+        throw error;
+    }
+}
+
+const isValidWebhookSignature = (rawBody, signature, secret) => {
+    if (typeof signature !== 'string') return false;
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(signature);
+    return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+async function reconcileWebhookPayment(payment) {
+    if (!payment || !payment.order_id) return;
+    const result = await reconcilePaidOrder(payment.order_id, payment, {});
+    if (result.unknownCheckout) {
+        console.warn(`Webhook payment ${payment.id} is for Razorpay order ${payment.order_id}, which has no checkout.`);
+    } else if (!result.order) {
+        // /capture holds the claim; fail so Razorpay retries and confirms the order got saved.
+        throw new Error(`Order ${payment.order_id} is being saved by another request.`);
+    }
+}
+
+const webhookHandlers = {
+    'payment.captured': (payload) => reconcileWebhookPayment(payload.payment && payload.payment.entity),
+    'order.paid': (payload) => reconcileWebhookPayment(payload.payment && payload.payment.entity),
+    'payment.failed': async (payload) => {
+        const payment = payload.payment && payload.payment.entity;
+        if (!payment || !payment.order_id) return;
+        await Checkout.updateOne(
+            { razorpayOrderId: payment.order_id, 'paymentFailures.paymentId': { $ne: payment.id } },
+            { $push: { paymentFailures: { paymentId: payment.id, reason: payment.error_description || payment.error_reason } } }
+        );
+    },
+    'refund.processed': async (payload) => {
+        const refund = payload.refund && payload.refund.entity;
+        if (refund) await recordRefund(refund);
+    }
+};
+
+// ============================================
+// ORDER STATUS HELPERS
+// ============================================
+class OrderStatusError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'OrderStatusError';
+        this.status = status;
+    }
+}
+
+// Throws OrderStatusError unless SHIPPING_STATUS_TRANSITIONS lets an order move from `from` to `to`.
+function assertShippingStatusChange(from, to) {
+    if (!SHIPPING_STATUSES.includes(to)) throw new OrderStatusError('Invalid status value.', 400);
+    if (!(SHIPPING_STATUS_TRANSITIONS[from] || []).includes(to)) {
+        throw new OrderStatusError(`An order that is ${from} can't be changed to ${to}.`);
+    }
+}
+
+// The statusHistory entry for a change made by an admin.
+const adminStatusChange = (req, from, status, note) => ({
+    status,
+    from,
+    at: new Date(),
+    by: { kind: 'admin', id: req.admin._id, email: req.admin.email, name: req.admin.name },
+    note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : undefined
+});
+
+// ============================================
+// ORDER TRACKING HELPERS
+// ============================================
+// Tracking pages of the couriers we ship with, matched against the carrier name the admin typed.
+// India Post's page doesn't take the number in its URL, so customers paste it there.
+const CARRIER_TRACKING_URLS = [
+    { pattern: /delhivery/i, url: (number) => `https://www.delhivery.com/track/package/${number}` },
+    { pattern: /blue\s*dart/i, url: (number) => `https://www.bluedart.com/web/guest/trackdartresultthirdparty?trackFor=0&trackNo=${number}` },
+    { pattern: /dtdc/i, url: (number) => `https://www.dtdc.in/trace.asp?strCnno=${number}` },
+    { pattern: /ekart/i, url: (number) => `https://ekartlogistics.com/shipmenttrack/${number}` },
+    { pattern: /xpress\s*bees/i, url: (number) => `https://www.xpressbees.com/shipment/tracking?awbNo=${number}` },
+    { pattern: /ecom\s*express/i, url: (number) => `https://ecomexpress.in/tracking/?awb_field=${number}` },
+    { pattern: /shiprocket/i, url: (number) => `https://shiprocket.co/tracking/${number}` },
+    { pattern: /india\s*post|speed\s*post/i, url: () => 'https://www.indiapost.gov.in/_layouts/15/dop.portal.tracking/trackconsignment.aspx' }
+];
+
+// The carrier's tracking page for a shipment, or null for a carrier we don't know.
+function carrierTrackingUrl(tracking) {
+    if (!tracking || !tracking.number) return null;
+    const carrier = CARRIER_TRACKING_URLS.find(entry => entry.pattern.test(tracking.carrier || ''));
+    return carrier ? carrier.url(encodeURIComponent(tracking.number)) : null;
+}
+
+// The steps an order moves through, as drawn on the tracking page. A cancelled or returned order
+// leaves the line after the last step it reached.
+const ORDER_TIMELINE_STEPS = ['Pending', 'Processing', 'Packed', 'Shipped', 'Out for delivery', 'Delivered'];
+const ORDER_TIMELINE_LABELS = {
+    'Pending': 'Order placed',
+    'Processing': 'Processing',
+    'Packed': 'Packed',
+    'Shipped': 'Shipped',
+    'Out for delivery': 'Out for delivery',
+    'Delivered': 'Delivered',
+    'Cancelled': 'Cancelled',
+    'Returned': 'Returned'
+};
+
+// [{ status, label, done, current, at }] for an order; `at` is null where the date isn't known
+// (steps that were skipped, and orders from before statusHistory was kept).
+function buildOrderTimeline(order) {
+    const history = order.statusHistory || [];
+    const changedAt = (status) => {
+        const change = history.filter(entry => entry.status === status).pop();
+        return change ? change.at : null;
+    };
+
+    let steps = ORDER_TIMELINE_STEPS;
+    if (!ORDER_TIMELINE_STEPS.includes(order.shippingStatus)) {
+        // Returns come back after shipping, so an old order with no history is assumed to have shipped.
+        const lastReached = history
+            .map(entry => ORDER_TIMELINE_STEPS.indexOf(entry.from))
+            .reduce((max, index) => Math.max(max, index), order.shippingStatus === 'Returned' ? ORDER_TIMELINE_STEPS.indexOf('Shipped') : 0);
+        steps = [...ORDER_TIMELINE_STEPS.slice(0, lastReached + 1), order.shippingStatus];
+    }
+
+    const reached = steps.indexOf(order.shippingStatus);
+    const cancelledAt = (order.cancellationRequest && order.cancellationRequest.resolvedAt) || null;
+    return steps.map((status, index) => ({
+        status,
+        label: ORDER_TIMELINE_LABELS[status],
+        done: index <= reached,
+        current: index === reached,
+        at: changedAt(status) || (index === 0 ? order.date : (status === 'Cancelled' ? cancelledAt : null))
+    }));
+}
+
+// What the public tracking page shows of an order: its progress and contents, but only the town
+// it is going to, not the street address or contact details.
+function describeOrderTracking(order, productImages = {}) {
+    const processedRefunds = (order.refunds || []).filter(r => r.status === 'processed');
+    return {
+        orderId: order.orderId,
+        date: order.date,
+        shippingStatus: order.shippingStatus,
+        paymentStatus: order.paymentStatus,
+        total: order.total,
+        items: order.items.map(item => ({
+            id: item.id,
+            name: item.name,
+            variantLabel: item.variantLabel,
+            quantity: item.quantity,
+            image: productImages[item.id] || 'https://placehold.co/64x64'
+        })),
+        shipTo: {
+            name: order.user.firstname,
+            city: order.user.city,
+            state: order.user.state,
+            zip: order.user.zip
+        },
+        tracking: order.tracking && order.tracking.number
+            ? { carrier: order.tracking.carrier || '', number: order.tracking.number, url: carrierTrackingUrl(order.tracking) }
+            : null,
+        cancellationStatus: order.cancellationRequest ? order.cancellationRequest.status : null,
+        refunded: roundMoney(processedRefunds.reduce((sum, r) => sum + r.amount, 0)),
+        timeline: buildOrderTimeline(order)
+    };
+}
+
+// ============================================
+// EMAIL HELPERS
+// ============================================
+// A failed send is retried after each of these delays; after the last one the email is marked failed.
+const EMAIL_RETRY_DELAYS_MS = [1, 5, 30, 120, 720].map(minutes => minutes * 60 * 1000);
+// How long an email being sent is held before another server may try it.
+const EMAIL_SEND_LEASE_MS = 2 * 60 * 1000;
+const EMAIL_BATCH_SIZE = 10;
+
+const escapeHtml = (text) => String(text === undefined || text === null ? '' : text)
+    .replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+const formatRupees = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+// An absolute link to a page on the site, or null when SITE_URL isn't set.
+const siteUrl = (pathname) => process.env.SITE_URL ? `${process.env.SITE_URL.replace(/\/+$/, '')}${pathname}` : null;
+
+const orderAddressLines = (user) => [
+    `${user.firstname} ${user.lastname}`,
+    [user.address1, user.address2].filter(Boolean).join(', '),
+    `${user.city}, ${user.state} ${user.zip}`,
+    user.phone
+];
+
+// Lays out an order email as matching HTML and plain text. `paragraphs` are plain text, `details`
+// are [label, value] rows, `items` the order lines and `action` an optional { label, url } button.
+function renderEmail({ heading, paragraphs = [], details = [], items = [], action = null }) {
+    const itemRows = items.map(item => ({
+        name: `${item.name}${item.variantLabel ? ` (${item.variantLabel})` : ''}`,
+        quantity: item.quantity,
+        amount: formatRupees(item.price * item.quantity)
+    }));
+
+    const html = `<!DOCTYPE html>
+<html><body style="margin:0;padding:24px;background:#f5f5f4;font-family:Arial,Helvetica,sans-serif;color:#292524;">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+<p style="margin:0 0 16px;font-size:18px;font-weight:bold;color:#166534;">${escapeHtml(SELLER_DETAILS.name)}</p>
+<h1 style="margin:0 0 16px;font-size:22px;">${escapeHtml(heading)}</h1>
+${paragraphs.map(text => `<p style="margin:0 0 12px;line-height:1.5;">${escapeHtml(text)}</p>`).join('\n')}
+${details.length ? `<table style="width:100%;border-collapse:collapse;margin:16px 0;font-size:14px;">${details.map(([label, value]) => `<tr><td style="padding:4px 8px 4px 0;color:#78716c;vertical-align:top;white-space:nowrap;">${escapeHtml(label)}</td><td style="padding:4px 0;">${escapeHtml(value).replace(/\n/g, '<br>')}</td></tr>`).join('')}</table>` : ''}
+${itemRows.length ? `<table style="width:100%;border-collapse:collapse;margin:16px 0;font-size:14px;">${itemRows.map(row => `<tr><td style="padding:6px 0;border-top:1px solid #e7e5e4;">${escapeHtml(row.name)} &times; ${row.quantity}</td><td style="padding:6px 0;border-top:1px solid #e7e5e4;text-align:right;">${escapeHtml(row.amount)}</td></tr>`).join('')}</table>` : ''}
+${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#166534;color:#ffffff;text-decoration:none;padding:10px 20px;border-radius:6px;font-weight:bold;">${escapeHtml(action.label)}</a></p>` : ''}
+<p style="margin:24px 0 0;font-size:12px;color:#a8a29e;">${escapeHtml(SELLER_DETAILS.name)}, ${escapeHtml(SELLER_DETAILS.address)}</p>
+</div></body></html>`;
+
+    const text = [
+        heading,
+        '',
+        ...paragraphs.flatMap(paragraph => [paragraph, '']),
+        ...details.map(([label, value]) => `${label}: ${String(value).replace(/\n/g, ', ')}`),
+        ...(itemRows.length ? ['', ...itemRows.map(row => `${row.name} x ${row.quantity}: ${row.amount}`)] : []),
+        ...(action ? ['', `${action.label}: ${action.url}`] : []),
+        '',
+        `${SELLER_DETAILS.name}, ${SELLER_DETAILS.address}`
+    ].join('\n');
+
+    return { html, text };
+}
+
+const trackOrderAction = (order) => {
+    const url = siteUrl(`/track-order.html?orderId=${encodeURIComponent(order.orderId)}`);
+    return url ? { label: 'Track your order', url } : null;
+};
+
+function orderConfirmationEmail(order) {
+    return {
+        subject: `Order confirmed: ${order.orderId}`,
+        ...renderEmail({
+            heading: 'Thank you for your order!',
+            paragraphs: [
+                `Hi ${order.user.firstname}, we've received your payment and are getting your order ready. We'll email you again when it ships.`
+            ],
+            details: [
+                ['Order ID', order.orderId],
+                ['Order date', new Date(order.date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })],
+                ['Total paid', formatRupees(order.total)],
+                ['Shipping to', orderAddressLines(order.user).join('\n')]
+            ],
+            items: order.items,
+            action: trackOrderAction(order)
+        })
+    };
+}
+
+function orderShippedEmail(order) {
+    const tracking = order.tracking && order.tracking.number ? order.tracking : null;
+    const carrierUrl = carrierTrackingUrl(tracking);
+    return {
+        subject: `Your order ${order.orderId} has shipped`,
+        ...renderEmail({
+            heading: 'Your order is on its way',
+            paragraphs: [
+                `Hi ${order.user.firstname}, your order has been handed to the courier.`,
+                tracking ? 'You can follow the parcel with the tracking number below.' : "We'll share the tracking number as soon as we have it."
+            ],
+            details: [
+                ['Order ID', order.orderId],
+                ...(tracking ? [['Carrier', tracking.carrier || '-'], ['Tracking number', tracking.number]] : []),
+                ['Shipping to', orderAddressLines(order.user).join('\n')]
+            ],
+            items: order.items,
+            action: carrierUrl ? { label: 'Track with the courier', url: carrierUrl } : trackOrderAction(order)
+        })
+    };
+}
+
+function orderDeliveredEmail(order) {
+    return {
+        subject: `Your order ${order.orderId} has been delivered`,
+        ...renderEmail({
+            heading: 'Your order has been delivered',
+            paragraphs: [
+                `Hi ${order.user.firstname}, your order has been delivered. We hope you enjoy it.`,
+                'If anything is missing or not right, just reply to this email and we will sort it out.'
+            ],
+            details: [['Order ID', order.orderId]],
+            items: order.items,
+            action: trackOrderAction(order)
+        })
+    };
+}
+
+// Payment states an admin has to act on, called out in the new-order email.
+const ORDER_PAYMENT_ALERTS = {
+    amount_mismatch: 'The amount paid does not match the order total. Review the payment before shipping.',
+    stock_conflict: 'An item sold out while the customer was paying. The order needs a refund.'
+};
+
+function newOrderAdminEmail(order) {
+    const alert = ORDER_PAYMENT_ALERTS[order.paymentStatus];
+    const adminUrl = siteUrl('/admin.html');
+    return {
+        subject: `${alert ? '[Action needed] ' : ''}New order ${order.orderId} - ${formatRupees(order.total)}`,
+        ...renderEmail({
+            heading: `New order from ${order.user.firstname} ${order.user.lastname}`,
+            paragraphs: alert ? [alert] : [],
+            details: [
+                ['Order ID', order.orderId],
+                ['Total', formatRupees(order.total)],
+                ['Payment', order.paymentStatus],
+                ['Email', order.user.email],
+                ['Ship to', orderAddressLines(order.user).join('\n')]
+            ],
+            items: order.items,
+            action: adminUrl ? { label: 'Open the dashboard', url: adminUrl } : null
+        })
+    };
+}
+
+// Who gets the new-order email: ORDER_NOTIFICATION_EMAILS (comma-separated), or else every active owner.
+async function getOrderNotificationEmails() {
+    if (process.env.ORDER_NOTIFICATION_EMAILS) {
+        return process.env.ORDER_NOTIFICATION_EMAILS.split(',').map(email => email.trim()).filter(Boolean);
+    }
+    const owners = await AdminUser.find({ role: 'owner', status: 'active' }).select('email').lean();
+    return owners.map(owner => owner.email);
+}
+
+// Sends the emails that are due, oldest first. Each is claimed before sending, so two servers
+// never send the same one. Returns how many were sent.
+async function deliverQueuedEmails(limit = EMAIL_BATCH_SIZE) {
+    if (EMAIL_DELIVERY_PAUSED) return 0;
+    let sent = 0;
+    for (let i = 0; i < limit; i++) {
+        const now = new Date();
+        const message = await EmailMessage.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $inc: { attempts: 1 }, $set: { nextAttemptAt: new Date(now.getTime() + EMAIL_SEND_LEASE_MS) } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        ).lean();
+        if (!message) break;
+
+        try {
+            await sendEmail({ from: EMAIL_FROM, to: message.to.join(', '), subject: message.subject, html: message.html, text: message.text });
+            await EmailMessage.updateOne({ _id: message._id }, { $set: { status: 'sent', sentAt: new Date() }, $unset: { lastError: 1 } });
+            sent++;
+        } catch (error) {
+            const retryDelay = EMAIL_RETRY_DELAYS_MS[message.attempts - 1];
+            console.error(`Failed to send email ${message.key} (attempt ${message.attempts}):`, error.message);
+            await EmailMessage.updateOne({ _id: message._id }, {
+                $set: retryDelay === undefined
+                    ? { status: 'failed', lastError: error.message }
+                    : { nextAttemptAt: new Date(Date.now() + retryDelay), lastError: error.message }
+            });
+        }
+    }
+    return sent;
+}
+
+// Queues an email and starts sending it in the background. Never throws: the order flow that
+// asked for it carries on whatever happens to the email.
+async function queueEmail({ key, kind, orderId, to, subject, html, text }) {
+    try {
+        await EmailMessage.create({ key, kind, orderId, to, subject, html, text });
+    } catch (error) {
+        if (error.code !== 11000) console.error(`Failed to queue email ${key}:`, error);
+        return;
+    }
+    // Not awaited, so a slow mail server doesn't hold up the request. If a serverless function is
+    // suspended before the send finishes, the cron job picks the email up.
+    deliverQueuedEmails().catch(error => console.error('Failed to send queued emails:', error));
+}
+
+// The customer's confirmation (for a confirmed payment) and the shop's new-order email.
+async function notifyNewOrder(order) {
+    try {
+        if (order.paymentStatus === 'confirmed') {
+            await queueEmail({ key: `order-confirmation:${order.orderId}`, kind: 'order_confirmation', orderId: order.orderId, to: [order.user.email], ...orderConfirmationEmail(order) });
+        }
+        const adminEmails = await getOrderNotificationEmails();
+        if (adminEmails.length > 0) {
+            await queueEmail({ key: `admin-new-order:${order.orderId}`, kind: 'admin_new_order', orderId: order.orderId, to: adminEmails, ...newOrderAdminEmail(order) });
+        }
+    } catch (error) {
+        console.error(`Failed to queue emails for new order ${order.orderId}:`, error);
+    }
+}
+
+// The customer email for an order's new shipping status, for the statuses that have one.
+const SHIPPING_STATUS_EMAILS = {
+    'Shipped': { kind: 'order_shipped', template: orderShippedEmail },
+    'Delivered': { kind: 'order_delivered', template: orderDeliveredEmail }
+};
+
+async function notifyShippingStatus(order) {
+    const email = SHIPPING_STATUS_EMAILS[order.shippingStatus];
+    if (!email) return;
+    try {
+        await queueEmail({ key: `${email.kind}:${order.orderId}`, kind: email.kind, orderId: order.orderId, to: [order.user.email], ...email.template(order) });
+    } catch (error) {
+        console.error(`Failed to queue ${email.kind} email for order ${order.orderId}:`, error);
+    }
+}
+
+// ============================================
+// REVIEW HELPERS
+// ============================================
+class ReviewError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReviewError';
+        this.status = status;
+    }
+}
+
+// Orders whose products can be reviewed as a verified purchase: paid for and not cancelled.
+const REVIEWABLE_PAYMENT_STATUSES = ['confirmed', 'partially_refunded'];
+const isReviewableOrder = (order) => REVIEWABLE_PAYMENT_STATUSES.includes(order.paymentStatus) && order.shippingStatus !== 'Cancelled';
+
+// Finds the order line a review of the product is verified against. A named order must belong to
+// the signed-in customer or match `contact` (an email or phone number); without one, a signed-in
+// customer's latest order of the product that hasn't been reviewed yet is used. Resolves to
+// { orderId, variantId }, or null when the reviewer gave no proof of purchase.
+async function findPurchaseToReview(productId, { orderId, contact, identifier }) {
+    if (orderId) {
+        const owner = identifier || (contact && contact.identifier);
+        if (!owner) {
+            throw new ReviewError('Please enter the email or phone number you ordered with to verify your purchase.');
+        }
+        const order = await Order.findOne({ orderId, ...customerOrdersFilter(owner) })
+            .select('orderId items paymentStatus shippingStatus')
+            .lean();
+        if (!order) {
+            throw new ReviewError('We could not find an order with those details. Please check the order ID and the email or phone number.', 404);
+        }
+        const line = order.items.find(item => item.id === productId);
+        if (!line) throw new ReviewError('That order does not include this product.');
+        if (!isReviewableOrder(order)) {
+            throw new ReviewError('Only paid orders that were not cancelled can be reviewed.', 409);
+        }
+        if (await Comment.exists({ orderId: order.orderId, productId })) {
+            throw new ReviewError('You have already reviewed this product from that order.', 409);
+        }
+        return { orderId: order.orderId, variantId: line.variantId || null };
+    }
+
+    if (!identifier) return null;
+    const orders = await Order.find({
+        ...customerOrdersFilter(identifier),
+        'items.id': productId,
+        paymentStatus: { $in: REVIEWABLE_PAYMENT_STATUSES },
+        shippingStatus: { $ne: 'Cancelled' }
+    }).sort({ date: -1 }).select('orderId items').lean();
+    if (orders.length === 0) return null;
+
+    const reviewed = await Comment.find({ productId, orderId: { $in: orders.map(o => o.orderId) } }).select('orderId').lean();
+    const reviewedOrderIds = new Set(reviewed.map(c => c.orderId));
+    const order = orders.find(o => !reviewedOrderIds.has(o.orderId));
+    if (!order) throw new ReviewError('You have already reviewed this product for each of your orders.', 409);
+    const line = order.items.find(item => item.id === productId);
+    return { orderId: order.orderId, variantId: line.variantId || null };
+}
+
+// Reviews that are shown and counted. Reviews from before moderation have no status.
+const APPROVED_REVIEWS = { status: { $nin: ['pending', 'rejected'] } };
+// Kept out of everything the shop's visitors see.
+const PRIVATE_REVIEW_FIELDS = ['orderId', 'textKey', 'holdReasons', 'moderatedAt', 'moderatedBy', 'moderationNote'];
+
+const { findBlockedWord, normalizeReviewText } = require('./lib/review-blocklist');
+const REVIEW_LINK_PATTERN = /(https?:\/\/|www\.)|\b[a-z0-9-]+\.(com|net|org|in|info|biz|xyz|io|ly|top|site|online|shop|store|link|click|live)\b/i;
+// Shorter texts, like "Very good product", are posted by many customers and aren't held as duplicates.
+const DUPLICATE_REVIEW_MIN_LENGTH = 20;
+
+function reviewTextKey(comment) {
+    const letters = normalizeReviewText(comment).replace(/[^\p{L}\p{N}]+/gu, '');
+    return letters.length >= DUPLICATE_REVIEW_MIN_LENGTH ? crypto.createHash('sha256').update(letters).digest('hex') : null;
+}
+
+// Why a new review should wait for an admin instead of going live: photos, links, blocked words (in
+// the name or the text) or the same text as another review.
+async function findReviewHoldReasons({ username, comment, textKey, photos = [] }) {
+    const reasons = [];
+    if (photos.length > 0) reasons.push('photos');
+    const text = normalizeReviewText(`${username}\n${comment}`);
+    if (REVIEW_LINK_PATTERN.test(text)) reasons.push('link');
+    if (findBlockedWord(text)) reasons.push('blocked_word');
+    if (textKey && await Comment.exists({ textKey })) reasons.push('duplicate');
+    return reasons;
+}
+
+// Recomputes a product's rating and review count from its approved reviews.
+async function refreshProductRating(productId) {
+    const [stats] = await Comment.aggregate([
+        { $match: { productId, ...APPROVED_REVIEWS } },
+        { $group: { _id: '$productId', avgRating: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const rating = stats ? Math.round(stats.avgRating * 10) / 10 : 0;
+    const reviewsCount = stats ? stats.count : 0;
+    await Product.updateOne({ legacyId: productId }, { $set: { rating, reviewsCount } });
+    return { rating, reviewsCount };
+}
+
+const publicReview = (comment) => {
+    const review = { ...comment };
+    for (const field of PRIVATE_REVIEW_FIELDS) delete review[field];
+    return review;
+};
+
+const REVIEW_PHOTO_LIMIT = 3;
+
+// The file's real type from its first bytes; the browser's mimetype is only a claim.
+const REVIEW_PHOTO_TYPES = [
+    { extension: 'jpg', contentType: 'image/jpeg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff, strip: stripJpegMetadata },
+    { extension: 'png', contentType: 'image/png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), strip: stripPngMetadata },
+    { extension: 'webp', contentType: 'image/webp', matches: (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP', strip: stripWebpMetadata }
+];
+const detectReviewPhotoType = (buffer) => REVIEW_PHOTO_TYPES.find(type => buffer.length > 12 && type.matches(buffer)) || null;
+
+// Photos are published as uploaded, so the camera's EXIF (GPS position, device, time), XMP, IPTC and
+// text comments are taken out first. Each strip function throws on a file it can't walk through.
+const JPEG_KEPT_APP_SEGMENTS = { 0xe0: 'JFIF\0', 0xe2: 'ICC_PROFILE\0', 0xee: 'Adobe' };
+
+function stripJpegMetadata(buffer) {
+    const parts = [buffer.subarray(0, 2)];
+    let at = 2;
+    while (at < buffer.length) {
+        if (buffer[at] !== 0xff) throw new Error('Unexpected data between JPEG segments.');
+        const marker = buffer[at + 1];
+        if (marker === 0xff) {
+            at += 1;
+            continue;
+        }
+        if (marker === 0xda) {
+            // Image data up to the end-of-image marker; anything appended after it (e.g. a motion photo) goes.
+            const end = buffer.indexOf(Buffer.from([0xff, 0xd9]), at);
+            parts.push(buffer.subarray(at, end === -1 ? buffer.length : end + 2));
+            break;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+            parts.push(buffer.subarray(at, at + 2));
+            at += 2;
+            continue;
+        }
+        const end = at + 2 + buffer.readUInt16BE(at + 2);
+        if (end > buffer.length) throw new Error('JPEG segment runs past the end of the file.');
+        const data = buffer.subarray(at + 4, end);
+        if (marker === 0xe1 && data.toString('latin1', 0, 6) === 'Exif\0\0') {
+            const orientation = readExifOrientation(data.subarray(6));
+            if (orientation > 1 && orientation <= 8) parts.push(exifOrientationSegment(orientation));
+        } else if (marker === 0xfe || (marker >= 0xe0 && marker <= 0xef)) {
+            const kept = JPEG_KEPT_APP_SEGMENTS[marker];
+            if (kept && data.toString('latin1', 0, kept.length) === kept) parts.push(buffer.subarray(at, end));
+        } else {
+            parts.push(buffer.subarray(at, end));
+        }
+        at = end;
+    }
+    return Buffer.concat(parts);
+}
+
+// The orientation tag is the one piece of EXIF kept, so photos taken sideways still show upright.
+function readExifOrientation(tiff) {
+    try {
+        const little = tiff.toString('latin1', 0, 2) === 'II';
+        const read16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+        const ifd = little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+        for (let i = 0, count = read16(ifd); i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (read16(entry) === 0x0112) return read16(entry + 8);
+        }
+    } catch (error) {
+        // A damaged EXIF block is dropped like any other.
+    }
+    return 1;
+}
+
+// An APP1 segment holding an EXIF block with only the orientation tag.
+function exifOrientationSegment(orientation) {
+    const segment = Buffer.alloc(36);
+    segment.writeUInt16BE(0xffe1, 0);
+    segment.writeUInt16BE(34, 2);
+    segment.write('Exif\0\0MM\0*', 4, 'latin1');
+    segment.writeUInt32BE(8, 14); // first IFD, right after the TIFF header
+    segment.writeUInt16BE(1, 18); // one entry: Orientation, SHORT, count 1
+    segment.writeUInt16BE(0x0112, 20);
+    segment.writeUInt16BE(3, 22);
+    segment.writeUInt32BE(1, 24);
+    segment.writeUInt16BE(orientation, 28);
+    return segment;
+}
+
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+function stripPngMetadata(buffer) {
+    const parts = [buffer.subarray(0, 8)];
+    let at = 8;
+    while (at < buffer.length) {
+        const end = at + 12 + buffer.readUInt32BE(at);
+        if (end > buffer.length) throw new Error('PNG chunk runs past the end of the file.');
+        const type = buffer.toString('latin1', at + 4, at + 8);
+        if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(buffer.subarray(at, end));
+        at = end;
+        if (type === 'IEND') break;
+    }
+    return Buffer.concat(parts);
+}
+
+function stripWebpMetadata(buffer) {
+    const parts = [];
+    let at = 12;
+    while (at + 8 <= buffer.length) {
+        const type = buffer.toString('latin1', at, at + 4);
+        const size = buffer.readUInt32LE(at + 4);
+        const end = Math.min(at + 8 + size + (size % 2), buffer.length);
+        if (at + 8 + size > buffer.length) throw new Error('WebP chunk runs past the end of the file.');
+        if (type === 'VP8X') {
+            // Clear the "has EXIF" and "has XMP" flags to match the chunks taken out.
+            const chunk = Buffer.from(buffer.subarray(at, end));
+            chunk[8] &= ~0x0c;
+            parts.push(chunk);
+        } else if (type !== 'EXIF' && type !== 'XMP ') {
+            parts.push(buffer.subarray(at, end));
+        }
+        at = end;
+    }
+    const body = Buffer.concat(parts);
+    const header = Buffer.from(buffer.subarray(0, 12));
+    header.writeUInt32LE(body.length + 4, 4);
+    return Buffer.concat([header, body]);
+}
+
+// Uploads hand back a token with the URL, so a review can only carry photos uploaded here.
+const signReviewPhoto = (url) => crypto.createHmac('sha256', SESSION_SECRET).update(`review-photo:${url}`).digest('base64url');
+
+// Checks the { url, token } pairs sent with a review and returns them as the review's photos.
+function verifyReviewPhotos(photos) {
+    if (photos === undefined || photos === null) return [];
+    if (!Array.isArray(photos)) throw new ReviewError('photos must be a list.');
+    if (photos.length > REVIEW_PHOTO_LIMIT) throw new ReviewError(`A review can have at most ${REVIEW_PHOTO_LIMIT} photos.`);
+    return photos.map(photo => {
+        const url = photo && typeof photo.url === 'string' ? photo.url : '';
+        const expected = Buffer.from(signReviewPhoto(url));
+        const actual = Buffer.from(String((photo && photo.token) || ''));
+        if (!url || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new ReviewError('One of the photos could not be verified. Please upload it again.');
+        }
+        return { url };
+    });
+}
+
+// Marks a saved review's photos as used. Each upload can go on one review only, and not once it has
+// been cleaned up by deleteUnusedReviewPhotos. If one can't be claimed, the others are put back so
+// they are still cleaned up or can be posted again.
+async function claimReviewPhotos(photos) {
+    const claimed = [];
+    for (const url of new Set(photos.map(photo => photo.url))) {
+        const upload = await ReviewPhotoUpload.findOneAndDelete({ url }).lean();
+        if (!upload) {
+            await ReviewPhotoUpload.insertMany(claimed, { ordered: false }).catch(error => console.error('Failed to put back claimed review photos:', error));
+            throw new ReviewError('One of the photos has expired or is already on a review. Please upload it again.');
+        }
+        claimed.push(upload);
+    }
+}
+
+// Deletes review photos from Vercel Blob. A failure is only logged: the review change stands.
+async function deleteReviewPhotoBlobs(urls) {
+    if (urls.length === 0) return;
+    try {
+        await del(urls);
+    } catch (error) {
+        console.error('Failed to delete review photos from Vercel Blob:', error);
+    }
+}
+
+const UNUSED_REVIEW_PHOTO_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Deletes uploads that never made it onto a review, e.g. when the reviewer gave up before posting.
+async function deleteUnusedReviewPhotos(limit = 100) {
+    const uploads = await ReviewPhotoUpload.find({ createdAt: { $lt: new Date(Date.now() - UNUSED_REVIEW_PHOTO_AGE_MS) } })
+        .sort({ createdAt: 1 })
+        .limit(limit)
+        .lean();
+    if (uploads.length === 0) return 0;
+    const urls = uploads.map(upload => upload.url);
+    await del(urls);
+    await ReviewPhotoUpload.deleteMany({ url: { $in: urls } });
+    return urls.length;
+}
+
+const REVIEW_SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    highest: { rating: -1, createdAt: -1, _id: -1 },
+    lowest: { rating: 1, createdAt: -1, _id: -1 },
+    helpful: { helpfulScore: -1, helpfulCount: -1, createdAt: -1, _id: -1 }
+};
+
+// Who is voting: the logged-in customer, or else the random id the visitor's browser keeps.
+function reviewVoterKey(identifier, visitorId) {
+    if (identifier) return crypto.createHash('sha256').update(`customer:${identifier}`).digest('hex');
+    if (typeof visitorId !== 'string' || !/^[A-Za-z0-9-]{16,64}$/.test(visitorId)) return null;
+    return crypto.createHash('sha256').update(`visitor:${visitorId}`).digest('hex');
+}
+
+// The $inc that moves a review's counters from one vote (or none) to another.
+function reviewVoteCounterChange(from, to) {
+    const change = { helpfulCount: 0, notHelpfulCount: 0, helpfulScore: 0 };
+    const apply = (vote, amount) => {
+        if (vote === 'helpful') {
+            change.helpfulCount += amount;
+            change.helpfulScore += amount;
+        } else if (vote === 'not_helpful') {
+            change.notHelpfulCount += amount;
+            change.helpfulScore -= amount;
+        }
+    };
+    apply(from, -1);
+    apply(to, 1);
+    return change;
+}
+
+// ============================================
+// ENQUIRY HELPERS
+// ============================================
+class EnquiryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'EnquiryError';
+        this.status = status;
+    }
+}
+
+const ENQUIRY_MESSAGE_MIN_LENGTH = 10;
+const ENQUIRY_NOTE_MAX_LENGTH = 2000;
+
+// Checks a contact form submission and returns its trimmed fields, or throws an EnquiryError.
+function validateEnquiry({ name, email, subject, message }) {
+    const fields = {
+        name: String(name || '').trim().replace(/\s+/g, ' '),
+        email: String(email || '').trim().toLowerCase(),
+        subject: String(subject || '').trim().replace(/\s+/g, ' '),
+        message: String(message || '').trim()
+    };
+    if (!fields.name || fields.name.length > 100) throw new EnquiryError('Please enter your name (up to 100 characters).');
+    if (fields.email.length > 200 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+        throw new EnquiryError('Please enter a valid email address.');
+    }
+    if (!fields.subject || fields.subject.length > 150) throw new EnquiryError('Please enter a subject (up to 150 characters).');
+    if (fields.message.length < ENQUIRY_MESSAGE_MIN_LENGTH || fields.message.length > 5000) {
+        throw new EnquiryError(`Your message must be between ${ENQUIRY_MESSAGE_MIN_LENGTH} and 5000 characters.`);
+    }
+    return fields;
+}
+
+function newEnquiryAdminEmail(enquiry) {
+    const adminUrl = siteUrl('/admin.html');
+    return {
+        subject: `New enquiry: ${enquiry.subject}`,
+        ...renderEmail({
+            heading: `New message from ${enquiry.name}`,
+            paragraphs: [enquiry.message],
+            details: [
+                ['From', `${enquiry.name} <${enquiry.email}>`],
+                ['Subject', enquiry.subject]
+            ],
+            action: adminUrl ? { label: 'Open the inbox', url: adminUrl } : null
+        })
+    };
+}
+
+// Tells the shop about a new enquiry, with the same recipients as the new-order email.
+async function notifyNewEnquiry(enquiry) {
+    try {
+        const adminEmails = await getOrderNotificationEmails();
+        if (adminEmails.length > 0) {
+            await queueEmail({ key: `admin-new-enquiry:${enquiry._id}`, kind: 'admin_new_enquiry', to: adminEmails, ...newEnquiryAdminEmail(enquiry) });
+        }
+    } catch (error) {
+        console.error(`Failed to queue the email for enquiry ${enquiry._id}:`, error);
+    }
+}
+
+// Enquiry fields worth auditing. Reading an enquiry isn't recorded.
+const enquiryAuditState = (enquiry) => ({
+    status: enquiry.status,
+    orderId: enquiry.orderId
+});
+
+// ============================================
+// API ENDPOINTS
+// ============================================
+
+app.get('/api/products', async (req, res) => {
+    try {
+        await connectToDatabase(); // Ensure connection before queries
+        const { sort = 'relevance', page = 1, limit = 10, search } = req.query;
+
+        const categoryList = await Category.find().select('name slug').lean();
+        const { filters, error: filterError } = parseCatalogFilters(req.query, new Map(categoryList.map(c => [c.slug, c.name])));
+        if (filterError) return res.status(400).json({ error: filterError });
+
+        let query = {};
+        let didYouMean = null;
+
+        let isTextSearch = false;
+        if (search && /^\d+$/.test(search.trim())) {
+            // The admin dashboard looks products up by id.
+            query.legacyId = parseInt(search);
+        } else if (search) {
+            // The last word may be unfinished (admin search runs as the admin types), so it is also completed.
+            const expanded = expandSearchQuery(search, await getSearchVocabulary(), { prefix: true });
+            if (expanded.terms.length > 0) {
+                query.$text = { $search: expanded.terms.join(' ') };
+                didYouMean = expanded.didYouMean;
+                isTextSearch = true;
+            }
+        }
+
+        let sortOptions = {};
+        if (sort === 'newest') { sortOptions = { dateAdded: -1 }; }
+        else if (sort === 'price-asc') { sortOptions = { price: 1 }; }
+        else if (sort === 'price-desc') { sortOptions = { price: -1 }; }
+        else if (isTextSearch) { sortOptions = { score: { $meta: 'textScore' }, legacyId: 1 }; }
+        else { sortOptions = { legacyId: 1 }; }
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+        const skip = (pageNum - 1) * limitNum;
+
+        const filteredQuery = applyCatalogFilters(query, filters);
+        const [totalProducts, facets] = await Promise.all([
+            Product.countDocuments(filteredQuery),
+            getCatalogFacets(query, filters, new Map(categoryList.map(c => [c.name, c.slug])))
+        ]);
+        const totalPages = Math.ceil(totalProducts / limitNum);
+
+        const productsFromDB = await Product.find(filteredQuery)
+            .select('-__v -_id')
+            .sort(sortOptions)
+            .skip(skip)
+            .limit(limitNum)
+            .lean();
+
+        const formattedProducts = (productsFromDB || []).map(product => {
+            const productObj = { ...product };
+            productObj.id = productObj.legacyId;
+            delete productObj.legacyId;
+            return productObj;
+        });
+
+        res.json({
+            products: formattedProducts,
+            totalPages: totalPages,
+            currentPage: pageNum,
+            totalProducts: totalProducts,
+            facets,
+            didYouMean
+        });
+    } catch (error) {
+        console.error('Error fetching products from DB:', error);
+        res.status(500).json({ error: 'Failed to fetch products' });
+    }
+});
+
+// Typeahead for the header search box: the best few matches for a partly typed query.
+app.get('/api/products/suggest', async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        if (q.length < 2) return res.json({ suggestions: [], didYouMean: null });
+
+        const { terms, didYouMean } = expandSearchQuery(q, await getSearchVocabulary(), { prefix: true });
+        if (terms.length === 0) return res.json({ suggestions: [], didYouMean: null });
+
+        const products = await Product.find({ $text: { $search: terms.join(' ') } })
+            .select('legacyId name price images category')
+            .sort({ score: { $meta: 'textScore' }, legacyId: 1 })
+            .limit(6)
+            .lean();
+
+        res.json({
+            suggestions: products.map(p => ({
+                id: p.legacyId,
+                name: p.name,
+                price: p.price,
+                image: (p.images && p.images.length > 0) ? p.images[0] : null,
+                category: p.category || []
+            })),
+            didYouMean
+        });
+    } catch (error) {
+        console.error('Error fetching search suggestions:', error);
+        res.status(500).json({ error: 'Failed to fetch suggestions.' });
+    }
+});
+
+app.get('/api/products/:id', async (req, res) => {
+    try {
+        const product = await Product.findOne({ legacyId: parseInt(req.params.id) })
+            .select('-__v')
+            .lean();
+            
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+
+        product.id = product.legacyId;
+        delete product.legacyId;
+        
+        res.json(product);
+    } catch (error) {
+        console.error('Error fetching single product:', error);
+        res.status(500).json({ error: 'Failed to fetch product.' });
+    }
+});
+
+app.post('/api/upload', uploadLimiter, requireAdmin('catalog'), upload.single('image'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded.' });
+    }
+
+    try {
+        const filename = `${Date.now()}-${req.file.originalname}`;
+        const blob = await put(filename, req.file.buffer, {
+          access: 'public',
+        });
+        await recordAudit(req, { action: 'upload.create', targetType: 'upload', targetId: blob.url, targetLabel: req.file.originalname, after: { url: blob.url, size: req.file.size } });
+        res.status(201).json({ url: blob.url });
+    } catch (error) {
+        console.error('Error uploading to Vercel Blob:', error);
+        res.status(500).json({ error: 'Failed to upload image.' });
+    }
+}, (error, req, res, next) => {
+    res.status(400).json({ error: error.message });
+});
+
+app.post('/api/products', requireAdmin('catalog'), async (req, res) => {
+    try {
+        const productData = syncVariantPricing({ ...req.body });
+        delete productData._id;
+        delete productData.id;
+        Object.assign(productData, await resolveProductCategories(productData));
+
+        const newProduct = new Product({
+            ...productData,
+            legacyId: productData.legacyId,
+            dateAdded: new Date()
+        });
+        await newProduct.save();
+        
+        const productObj = newProduct.toObject();
+        productObj.id = productObj.legacyId;
+        delete productObj.legacyId;
+        delete productObj.__v;
+        
+        invalidateSearchVocabulary();
+        await recordAudit(req, { action: 'product.create', targetType: 'product', targetId: productObj.id, targetLabel: productObj.name, after: productObj });
+        res.status(201).json(productObj);
+    } catch (error) {
+        if (error instanceof CategoryError) return res.status(error.status).json({ error: error.message });
+        console.error('Error creating product:', error);
+        res.status(400).json({ error: 'Failed to create product.', details: error.message });
+    }
+});
+
+app.put('/api/products/:id', requireAdmin('catalog'), async (req, res) => {
+    try {
+        // Stock changes must go through /api/admin/products/:id/stock so they carry a reason.
+        const productData = syncVariantPricing({ ...req.body });
+        delete productData.stock;
+        Object.assign(productData, await resolveProductCategories(productData));
+
+        const existing = await Product.findOne({ legacyId: parseInt(req.params.id) }).select('-__v').lean();
+        if (Array.isArray(productData.variants)) {
+            const existingVariants = existing ? existing.variants : [];
+            productData.variants = productData.variants.map(variant => {
+                const match = variant._id && existingVariants.find(v => String(v._id) === String(variant._id));
+                return { ...variant, stock: match ? match.stock : null };
+            });
+        }
+
+        const updatedProduct = await Product.findOneAndUpdate(
+            { legacyId: parseInt(req.params.id) }, 
+            productData, 
+            { new: true, runValidators: true }
+        ).select('-__v');
+        
+        if (!updatedProduct) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        
+        const productObj = updatedProduct.toObject();
+        await recordAudit(req, { action: 'product.update', targetType: 'product', targetId: productObj.legacyId, targetLabel: productObj.name, before: existing, after: productObj });
+        productObj.id = productObj.legacyId;
+        delete productObj.legacyId;
+        
+        invalidateSearchVocabulary();
+        res.json(productObj);
+    } catch (error) {
+        if (error instanceof CategoryError) return res.status(error.status).json({ error: error.message });
+        console.error('Error updating product:', error);
+        res.status(400).json({ error: 'Failed to update product.', details: error.message });
+    }
+});
+
+app.delete('/api/products/:id', requireAdmin('catalog'), async (req, res) => {
+    try {
+        const deletedProduct = await Product.findOneAndDelete({ legacyId: parseInt(req.params.id) }).select('-__v').lean();
+        if (!deletedProduct) return res.status(404).json({ error: 'Product not found.' });
+        invalidateSearchVocabulary();
+        await recordAudit(req, { action: 'product.delete', targetType: 'product', targetId: deletedProduct.legacyId, targetLabel: deletedProduct.name, before: deletedProduct });
+        res.status(200).json({ message: 'Product deleted successfully.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete product.' });
+    }
+});
+
+app.put('/api/admin/products/:id/stock', requireAdmin('catalog'), async (req, res) => {
+    try {
+        const legacyId = parseInt(req.params.id);
+        const { change, stock, reason, variantId } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ error: 'A reason is required for stock adjustments.' });
+        }
+        if (variantId && !mongoose.isValidObjectId(variantId)) {
+            return res.status(400).json({ error: 'Invalid variant id.' });
+        }
+
+        const product = await Product.findOne({ legacyId }).select('legacyId name stock variants').lean();
+        if (!product) return res.status(404).json({ error: 'Product not found.' });
+
+        const line = { id: legacyId, variantId: variantId ? String(variantId) : null };
+        const resolved = resolveCartLine([product], line);
+        if (!resolved) {
+            return res.status(400).json({ error: variantId ? 'Variant not found.' : 'This product has variants. Adjust stock on a variant.' });
+        }
+        const stockHolder = resolved.variant || resolved.product;
+
+        let updatedProduct;
+        let appliedChange;
+
+        if (stock !== undefined) {
+            // Absolute level; null switches stock tracking off.
+            if (stock !== null && (!Number.isInteger(stock) || stock < 0)) {
+                return res.status(400).json({ error: 'Stock must be a non-negative integer or null.' });
+            }
+            const { filter, path } = stockTarget(line);
+            updatedProduct = await Product.findOneAndUpdate(
+                filter,
+                { $set: { [path]: stock } },
+                { new: true }
+            ).select('legacyId stock variants').lean();
+            appliedChange = (stock || 0) - (stockHolder.stock || 0);
+        } else {
+            if (!Number.isInteger(change) || change === 0) {
+                return res.status(400).json({ error: 'Change must be a non-zero integer.' });
+            }
+            if (!isStockTracked(stockHolder)) {
+                return res.status(400).json({ error: 'Stock is not tracked here. Set an absolute stock level first.' });
+            }
+            const { filter, path } = stockTarget(line, change < 0 ? { $gte: -change } : { $type: 'number' });
+            updatedProduct = await Product.findOneAndUpdate(
+                filter,
+                { $inc: { [path]: change } },
+                { new: true }
+            ).select('legacyId stock variants').lean();
+            if (!updatedProduct) {
+                return res.status(409).json({ error: 'Not enough stock to remove that many units.' });
+            }
+            appliedChange = change;
+        }
+
+        const updated = resolveCartLine([updatedProduct], line);
+        const stockAfter = (updated.variant || updated.product).stock;
+
+        await StockMovement.create({
+            productId: legacyId,
+            variantId: line.variantId || undefined,
+            change: appliedChange,
+            stockAfter,
+            reason: String(reason).trim()
+        });
+        await recordAudit(req, {
+            action: 'product.stock',
+            targetType: 'product',
+            targetId: legacyId,
+            targetLabel: resolved.variant ? `${product.name} (${resolved.variant.label})` : product.name,
+            before: { stock: stockHolder.stock },
+            after: { stock: stockAfter },
+            note: String(reason).trim()
+        });
+
+        res.json({ id: updatedProduct.legacyId, variantId: line.variantId, stock: stockAfter });
+    } catch (error) {
+        console.error('Error adjusting stock:', error);
+        res.status(500).json({ error: 'Failed to adjust stock.' });
+    }
+});
+
+app.get('/api/admin/products/:id/stock-history', requireAdmin('view'), async (req, res) => {
+    try {
+        const movements = await StockMovement.find({ productId: parseInt(req.params.id) })
+            .sort({ date: -1 })
+            .limit(100)
+            .select('-__v')
+            .lean();
+        res.json(movements);
+    } catch (error) {
+        console.error('Error fetching stock history:', error);
+        res.status(500).json({ error: 'Failed to fetch stock history.' });
+    }
+});
+
+// A product's approved reviews, a page at a time: `page` and `limit` (at most 50), `sort` (newest,
+// oldest, highest, lowest or helpful) and `stars` (e.g. 4,5).
+app.get('/api/comments/:productId', async (req, res) => {
+    try {
+        const { productId: legacyId } = req.params;
+        const { sort = 'newest', stars, page = 1, limit = 10 } = req.query;
+        
+        const query = { productId: parseInt(legacyId), ...APPROVED_REVIEWS };
+        if (stars) {
+            const starFilters = String(stars).split(',').map(Number).filter(n => n >= 1 && n <= 5);
+            if (starFilters.length > 0) {
+                query.rating = { $in: starFilters };
+            }
+        }
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+        const [totalReviews, reviews] = await Promise.all([
+            Comment.countDocuments(query),
+            Comment.find(query)
+                .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select(['-__v', ...PRIVATE_REVIEW_FIELDS.map(field => `-${field}`)].join(' '))
+                .lean()
+        ]);
+        
+        res.json({
+            reviews,
+            totalReviews,
+            totalPages: Math.ceil(totalReviews / limitNum),
+            currentPage: pageNum
+        });
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ message: 'Server error while fetching comments.' });
+    }
+});
+
+// The rating summary: how many approved reviews gave each number of stars, and their average.
+app.get('/api/comments/:productId/summary', async (req, res) => {
+    try {
+        const productId = parseInt(req.params.productId);
+        const stats = await Comment.aggregate([
+            { $match: { productId, ...APPROVED_REVIEWS } },
+            { $group: { _id: '$rating', count: { $sum: 1 } } }
+        ]);
+        const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        for (const { _id: rating, count } of stats) {
+            if (counts[rating] !== undefined) counts[rating] = count;
+        }
+        const totalReviews = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const starTotal = Object.entries(counts).reduce((sum, [rating, count]) => sum + rating * count, 0);
+        res.json({
+            productId,
+            averageRating: totalReviews > 0 ? Math.round((starTotal / totalReviews) * 10) / 10 : 0,
+            totalReviews,
+            counts
+        });
+    } catch (error) {
+        console.error('Error fetching review summary:', error);
+        res.status(500).json({ error: 'Failed to fetch the review summary.' });
+    }
+});
+
+// Records the reader's vote on a review: `vote` is helpful, not_helpful, or null to take it back.
+// Guests send the `visitorId` their browser keeps; voting again replaces the earlier vote.
+app.post('/api/reviews/:id/vote', strictLimiter, optionalUserAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const vote = req.body.vote || null;
+        if (![null, 'helpful', 'not_helpful'].includes(vote)) {
+            return res.status(400).json({ error: 'vote must be helpful, not_helpful or null.' });
+        }
+        const voter = reviewVoterKey(req.userIdentifier, req.body.visitorId);
+        if (!voter) return res.status(400).json({ error: 'A visitorId is required to vote.' });
+        if (!mongoose.isValidObjectId(id) || !(await Comment.exists({ _id: id, ...APPROVED_REVIEWS }))) {
+            return res.status(404).json({ error: 'Review not found.' });
+        }
+
+        const previous = await ReviewVote.findOne({ review: id, voter }).lean();
+        const from = previous ? previous.vote : null;
+        if (from !== vote) {
+            // Each change is made only if the vote is still what was read, so racing requests from
+            // the same reader can't count twice.
+            let changed;
+            if (!previous) {
+                changed = await ReviewVote.create({ review: id, voter, vote }).then(() => true, (error) => {
+                    if (error.code === 11000) return false;
+                    throw error;
+                });
+            } else if (!vote) {
+                changed = (await ReviewVote.deleteOne({ _id: previous._id, vote: from })).deletedCount === 1;
+            } else {
+                changed = (await ReviewVote.updateOne({ _id: previous._id, vote: from }, { $set: { vote } })).modifiedCount === 1;
+            }
+            if (!changed) return res.status(409).json({ error: 'Your vote was just changed. Please try again.' });
+            await Comment.updateOne({ _id: id }, { $inc: reviewVoteCounterChange(from, vote) });
+        }
+
+        const review = await Comment.findById(id).select('helpfulCount notHelpfulCount').lean();
+        res.json({ vote, helpfulCount: review.helpfulCount || 0, notHelpfulCount: review.notHelpfulCount || 0 });
+    } catch (error) {
+        console.error('Error recording review vote:', error);
+        res.status(500).json({ error: 'Failed to record your vote.' });
+    }
+});
+
+// The "customer photos" strip: photos from a product's approved reviews, newest first.
+app.get('/api/comments/:productId/photos', async (req, res) => {
+    try {
+        const reviews = await Comment.find({ productId: parseInt(req.params.productId), ...APPROVED_REVIEWS, 'photos.0': { $exists: true } })
+            .sort({ createdAt: -1 })
+            .limit(30)
+            .select('username rating createdAt photos')
+            .lean();
+        const photos = reviews.flatMap(review => review.photos.map(photo => ({
+            url: photo.url,
+            reviewId: review._id,
+            username: review.username,
+            rating: review.rating,
+            createdAt: review.createdAt
+        })));
+        res.json(photos.slice(0, 30));
+    } catch (error) {
+        console.error('Error fetching review photos:', error);
+        res.status(500).json({ error: 'Failed to fetch review photos.' });
+    }
+});
+
+// Uploads one photo for a review that is about to be posted. Returns the photo's `url` and a `token`
+// to send with the review in `photos`.
+app.post('/api/reviews/photos', reviewPhotoLimiter, reviewPhotoUpload.single('photo'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No photo uploaded.' });
+    }
+
+    try {
+        const type = detectReviewPhotoType(req.file.buffer);
+        if (!type) return res.status(400).json({ error: 'Photos must be JPEG, PNG or WebP images.' });
+        let photo;
+        try {
+            photo = type.strip(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: 'This photo could not be read. Please try another one.' });
+        }
+        const filename = `reviews/${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${type.extension}`;
+        const blob = await put(filename, photo, {
+          access: 'public',
+          contentType: type.contentType
+        });
+        await ReviewPhotoUpload.create({ url: blob.url });
+        res.status(201).json({ url: blob.url, token: signReviewPhoto(blob.url) });
+    } catch (error) {
+        console.error('Error uploading review photo to Vercel Blob:', error);
+        res.status(500).json({ error: 'Failed to upload photo.' });
+    }
+}, (error, req, res, next) => {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Photos must be ${REVIEW_PHOTO_MAX_BYTES / (1024 * 1024)} MB or smaller.` });
+    }
+    res.status(400).json({ error: error.message });
+});
+
+app.post('/api/products/:id/reviews', strictLimiter, optionalUserAuth, async (req, res) => {
+    const productId = req.params.id;
+    try {
+        const product = await Product.findOne({ legacyId: parseInt(productId) });
+        if (!product) {
+            return res.status(404).json({ error: `Product with ID ${productId} not found.` });
+        }
+
+        const { user, rating, comment, orderId, contact } = req.body;
+        if (!user || !rating || !comment || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: 'Missing required review fields: user, rating, comment' });
+        }
+
+        const purchase = await findPurchaseToReview(product.legacyId, {
+            orderId: typeof orderId === 'string' ? orderId.trim() : '',
+            contact: contact ? normalizeLoginIdentifier(contact) : null,
+            identifier: req.userIdentifier
+        });
+
+        const photos = verifyReviewPhotos(req.body.photos);
+        const textKey = reviewTextKey(comment);
+        const holdReasons = await findReviewHoldReasons({ username: user, comment, textKey, photos });
+        const newComment = new Comment({
+            productId: product.legacyId,
+            username: user,
+            rating: parseInt(rating),
+            comment: comment,
+            verifiedPurchase: !!purchase,
+            ...(purchase || {}),
+            status: holdReasons.length > 0 ? 'pending' : 'approved',
+            holdReasons,
+            textKey,
+            photos
+        });
+        // Saved before its photos are claimed, so a review that fails to save leaves them unclaimed.
+        await newComment.save();
+        try {
+            await claimReviewPhotos(photos);
+        } catch (error) {
+            await Comment.deleteOne({ _id: newComment._id });
+            throw error;
+        }
+
+        const { rating: newRating, reviewsCount: newReviewsCount } = newComment.status === 'approved'
+            ? await refreshProductRating(product.legacyId)
+            : product;
+
+        // A held review is only shown once an admin approves it; `status` tells the page to say so.
+        res.status(201).json({
+            newComment: publicReview(newComment.toObject({ versionKey: false })),
+            newRating,
+            newReviewsCount
+        });
+    } catch (error) {
+        if (error instanceof ReviewError) return res.status(error.status).json({ error: error.message });
+        // Two reviews of the same order line submitted at once.
+        if (error.code === 11000) return res.status(409).json({ error: 'You have already reviewed this product from that order.' });
+        console.error('Error adding review to DB:', error);
+        res.status(500).json({ error: 'Failed to add review.' });
+    }
+});
+
+// The moderation queue: reviews with one status, held ones oldest first and the rest newest first,
+// with the number of reviews in each status for the tabs.
+app.get('/api/admin/reviews', requireAdmin('view'), async (req, res) => {
+    try {
+        const { status = 'pending', productId, page = 1, limit = 25 } = req.query;
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(', ')}.` });
+        }
+        const query = status === 'approved' ? { ...APPROVED_REVIEWS } : { status };
+        if (productId) query.productId = parseInt(productId);
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 25));
+        const [totalReviews, reviews, statusCounts] = await Promise.all([
+            Comment.countDocuments(query),
+            Comment.find(query)
+                .sort({ createdAt: status === 'pending' ? 1 : -1, _id: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v -textKey')
+                .lean(),
+            Comment.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        const products = await Product.find({ legacyId: { $in: [...new Set(reviews.map(r => r.productId))] } })
+            .select('legacyId name')
+            .lean();
+        const productNames = Object.fromEntries(products.map(p => [p.legacyId, p.name]));
+        const counts = { pending: 0, approved: 0, rejected: 0 };
+        for (const { _id, count } of statusCounts) {
+            counts[_id === 'pending' || _id === 'rejected' ? _id : 'approved'] += count;
+        }
+
+        res.json({
+            reviews: reviews.map(review => ({ ...review, status: review.status || 'approved', productName: productNames[review.productId] || null })),
+            counts,
+            totalReviews,
+            totalPages: Math.ceil(totalReviews / limitNum),
+            currentPage: pageNum
         });
-        await newProduct.save();
-        
-        const productObj = newProduct.toObject();
-        productObj.id = productObj.legacyId;
-        delete productObj.legacyId;
-        delete productObj.__v;
-        
-        res.status(201).json(productObj);
     } catch (error) {
-        console.error('Error creating product:', error);
-        res.status(400).json({ error: 'Failed to create product.', details: error.message });
+        console.error('Error fetching reviews for moderation:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews.' });
     }
 });
 
-app.put('/api/products/:id', adminAuth, async (req, res) => {
+// Approves or rejects up to 100 reviews at once and recomputes the ratings of their products.
+app.post('/api/admin/reviews/moderate', requireAdmin('catalog'), async (req, res) => {
     try {
-        const updatedProduct = await Product.findOneAndUpdate(
-            { legacyId: parseInt(req.params.id) }, 
-            req.body, 
+        const { ids, action } = req.body;
+        const status = { approve: 'approved', reject: 'rejected' }[action];
+        if (!status) return res.status(400).json({ error: 'action must be approve or reject.' });
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > 100 || !ids.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ error: 'Select between 1 and 100 reviews.' });
+        }
+        const note = String(req.body.note || '').trim().slice(0, 500);
+
+        const reviews = await Comment.find({ _id: { $in: ids } }).select('productId username status').lean();
+        if (reviews.length === 0) return res.status(404).json({ error: 'Reviews not found.' });
+        const changed = reviews.filter(review => review.status !== status);
+
+        await Comment.updateMany({ _id: { $in: changed.map(review => review._id) } }, {
+            $set: {
+                status,
+                moderatedAt: new Date(),
+                moderatedBy: { id: req.admin._id, email: req.admin.email, name: req.admin.name },
+                moderationNote: note
+            }
+        });
+        for (const review of changed) {
+            await recordAudit(req, {
+                action: `review.${action}`,
+                targetType: 'review',
+                targetId: review._id,
+                targetLabel: `${review.username} on product ${review.productId}`,
+                before: { status: review.status || 'approved' },
+                after: { status },
+                note
+            });
+        }
+
+        const productIds = [...new Set(changed.map(review => review.productId))];
+        const products = [];
+        for (const productId of productIds) {
+            products.push({ id: productId, ...(await refreshProductRating(productId)) });
+        }
+        res.json({ updated: changed.length, products });
+    } catch (error) {
+        console.error('Error moderating reviews:', error);
+        res.status(500).json({ error: 'Failed to update the reviews.' });
+    }
+});
+
+// Takes one photo off a review, e.g. to approve a good review without an unsuitable photo.
+app.delete('/api/admin/reviews/:id/photos/:photoId', requireAdmin('catalog'), async (req, res) => {
+    try {
+        const { id, photoId } = req.params;
+        if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(photoId)) {
+            return res.status(404).json({ error: 'Photo not found.' });
+        }
+        const review = await Comment.findOneAndUpdate(
+            { _id: id, 'photos._id': photoId },
+            { $pull: { photos: { _id: photoId } } }
+        ).lean();
+        if (!review) return res.status(404).json({ error: 'Photo not found.' });
+        const photo = review.photos.find(p => String(p._id) === photoId);
+        await deleteReviewPhotoBlobs([photo.url]);
+        await recordAudit(req, {
+            action: 'review.remove_photo',
+            targetType: 'review',
+            targetId: review._id,
+            targetLabel: `${review.username} on product ${review.productId}`,
+            before: { photo: photo.url }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing review photo:', error);
+        res.status(500).json({ error: 'Failed to remove the photo.' });
+    }
+});
+
+// ============================================
+// ADMIN ACCOUNTS
+// ============================================
+// Before any admin account exists the dashboard asks for ADMIN_SECRET to create the first owner.
+app.get('/api/admin/auth/status', async (req, res) => {
+    try {
+        res.json({ setupRequired: (await AdminUser.estimatedDocumentCount()) === 0 });
+    } catch (error) {
+        console.error('Error checking admin setup:', error);
+        res.status(500).json({ error: 'Failed to check admin setup.' });
+    }
+});
+
+app.post('/api/admin/auth/setup', loginLimiter, async (req, res) => {
+    try {
+        const { secret, email, name, password } = req.body;
+        if ((await AdminUser.countDocuments()) > 0) {
+            return res.status(409).json({ error: 'Admin accounts are already set up. Please log in.' });
+        }
+        if (!ADMIN_SECRET || hashToken(secret || '') !== hashToken(ADMIN_SECRET)) {
+            return res.status(401).json({ error: 'The admin secret key is not correct.' });
+        }
+        const owner = await AdminUser.create({
+            email,
+            name,
+            role: 'owner',
+            status: 'active',
+            passwordHash: await hashAdminPassword(password)
+        });
+        await recordAudit(req, { action: 'admin.setup', targetType: 'admin', targetId: owner._id, targetLabel: owner.email, after: adminAuditState(owner), actor: owner });
+        res.status(201).json(await startAdminSession(owner, req));
+    } catch (error) {
+        if (error instanceof AdminAuthError) return res.status(error.status).json({ error: error.message });
+        if (error.name === 'ValidationError') return res.status(400).json({ error: Object.values(error.errors)[0].message });
+        console.error('Error creating owner account:', error);
+        res.status(500).json({ error: 'Failed to create the owner account.' });
+    }
+});
+
+app.post('/api/admin/auth/login', loginLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const admin = await AdminUser.findOne({ email: String(email || '').trim().toLowerCase() });
+        if (!admin || admin.status !== 'active' || !(await checkAdminPassword(password, admin.passwordHash))) {
+            return res.status(401).json({ error: 'Incorrect email or password.' });
+        }
+        res.json(await startAdminSession(admin, req));
+    } catch (error) {
+        console.error('Error logging admin in:', error);
+        res.status(500).json({ error: 'Failed to log in.' });
+    }
+});
+
+app.post('/api/admin/auth/logout', requireAdmin('view'), async (req, res) => {
+    try {
+        await AdminSession.deleteOne({ _id: req.adminSessionId });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging admin out:', error);
+        res.status(500).json({ error: 'Failed to log out.' });
+    }
+});
+
+app.get('/api/admin/auth/me', requireAdmin('view'), (req, res) => {
+    res.json(describeAdmin(req.admin));
+});
+
+// Invite links land on admin.html?invite=<token>, which looks the invite up and asks for a password.
+app.get('/api/admin/auth/invite/:token', loginLimiter, async (req, res) => {
+    try {
+        const admin = await AdminUser.findOne({
+            inviteTokenHash: hashToken(req.params.token),
+            inviteExpiresAt: { $gt: new Date() },
+            status: { $ne: 'disabled' }
+        }).lean();
+        if (!admin) return res.status(404).json({ error: 'This invite link is invalid or has expired.' });
+        res.json({ email: admin.email, name: admin.name, role: admin.role });
+    } catch (error) {
+        console.error('Error fetching admin invite:', error);
+        res.status(500).json({ error: 'Failed to fetch the invite.' });
+    }
+});
+
+app.post('/api/admin/auth/accept-invite', loginLimiter, async (req, res) => {
+    try {
+        const { token, name, password } = req.body;
+        const admin = await AdminUser.findOne({
+            inviteTokenHash: hashToken(token || ''),
+            inviteExpiresAt: { $gt: new Date() },
+            status: { $ne: 'disabled' }
+        });
+        if (!admin) return res.status(404).json({ error: 'This invite link is invalid or has expired.' });
+
+        const before = adminAuditState(admin);
+        admin.passwordHash = await hashAdminPassword(password);
+        if (name) admin.name = name;
+        admin.status = 'active';
+        admin.inviteTokenHash = null;
+        admin.inviteExpiresAt = null;
+        await admin.save();
+        // A reset password logs out every other session.
+        await AdminSession.deleteMany({ admin: admin._id });
+        await recordAudit(req, { action: 'admin.accept_invite', targetType: 'admin', targetId: admin._id, targetLabel: admin.email, before, after: adminAuditState(admin), actor: admin });
+        res.json(await startAdminSession(admin, req));
+    } catch (error) {
+        if (error instanceof AdminAuthError) return res.status(error.status).json({ error: error.message });
+        console.error('Error accepting admin invite:', error);
+        res.status(500).json({ error: 'Failed to accept the invite.' });
+    }
+});
+
+app.get('/api/admin/users', requireAdmin('admins'), async (req, res) => {
+    try {
+        const admins = await AdminUser.find().sort({ createdAt: 1 }).lean();
+        res.json(admins.map(describeAdmin));
+    } catch (error) {
+        console.error('Error fetching admin users:', error);
+        res.status(500).json({ error: 'Failed to fetch admin users.' });
+    }
+});
+
+// Creates an invited admin and returns the invite link for the owner to pass on.
+app.post('/api/admin/users', requireAdmin('admins'), async (req, res) => {
+    try {
+        const { email, name, role } = req.body;
+        const admin = new AdminUser({ email, name, role, status: 'invited', invitedBy: req.admin._id });
+        const token = await issueAdminInvite(admin);
+        await recordAudit(req, { action: 'admin.invite', targetType: 'admin', targetId: admin._id, targetLabel: admin.email, after: adminAuditState(admin) });
+        res.status(201).json({ admin: describeAdmin(admin), invitePath: `/admin.html?invite=${token}` });
+    } catch (error) {
+        if (error.code === 11000) return res.status(409).json({ error: 'An admin with this email already exists.' });
+        if (error.name === 'ValidationError') return res.status(400).json({ error: Object.values(error.errors)[0].message });
+        console.error('Error inviting admin:', error);
+        res.status(500).json({ error: 'Failed to invite admin.' });
+    }
+});
+
+// Changes an admin's name or role, or disables (`status: 'disabled'`) and re-enables (`status: 'active'`) them.
+app.put('/api/admin/users/:id', requireAdmin('admins'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Admin not found.' });
+        const admin = await AdminUser.findById(req.params.id);
+        if (!admin) return res.status(404).json({ error: 'Admin not found.' });
+
+        const { name, role, status } = req.body;
+        if (status !== undefined && !['active', 'disabled'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be "active" or "disabled".' });
+        }
+        const losesOwner = admin.role === 'owner' && admin.status === 'active' &&
+            ((role !== undefined && role !== 'owner') || status === 'disabled');
+        if (losesOwner) await assertOtherActiveOwner(admin);
+
+        const before = adminAuditState(admin);
+        if (name !== undefined) admin.name = name;
+        if (role !== undefined) admin.role = role;
+        if (status === 'disabled') {
+            admin.status = 'disabled';
+        } else if (status === 'active' && admin.status === 'disabled') {
+            // An admin who never accepted their invite goes back to waiting for it.
+            admin.status = admin.passwordHash ? 'active' : 'invited';
+        }
+        await admin.save();
+        if (admin.status === 'disabled') await AdminSession.deleteMany({ admin: admin._id });
+        await recordAudit(req, { action: 'admin.update', targetType: 'admin', targetId: admin._id, targetLabel: admin.email, before, after: adminAuditState(admin) });
+        res.json(describeAdmin(admin));
+    } catch (error) {
+        if (error instanceof AdminAuthError) return res.status(error.status).json({ error: error.message });
+        if (error.name === 'ValidationError') return res.status(400).json({ error: Object.values(error.errors)[0].message });
+        console.error('Error updating admin:', error);
+        res.status(500).json({ error: 'Failed to update admin.' });
+    }
+});
+
+// A new invite link for an admin who lost theirs or forgot their password.
+app.post('/api/admin/users/:id/invite', requireAdmin('admins'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Admin not found.' });
+        const admin = await AdminUser.findById(req.params.id);
+        if (!admin) return res.status(404).json({ error: 'Admin not found.' });
+        if (admin.status === 'disabled') return res.status(409).json({ error: 'Re-enable this admin before sending a new invite.' });
+        const token = await issueAdminInvite(admin);
+        await recordAudit(req, { action: 'admin.reinvite', targetType: 'admin', targetId: admin._id, targetLabel: admin.email, note: 'New invite link issued' });
+        res.json({ admin: describeAdmin(admin), invitePath: `/admin.html?invite=${token}` });
+    } catch (error) {
+        console.error('Error re-inviting admin:', error);
+        res.status(500).json({ error: 'Failed to create a new invite link.' });
+    }
+});
+
+// ============================================
+// AUDIT LOG
+// ============================================
+// Newest first. Filters: targetType and targetId ("product" and "12"), actor (email, or part of it),
+// action ("product.update", or "product" for every product action), and from/to timestamps
+// (from inclusive, to exclusive).
+app.get('/api/admin/audit-log', requireAdmin('view'), async (req, res) => {
+    try {
+        const { targetType, targetId, actor, action, from, to, page = 1, limit = 25 } = req.query;
+        const query = {};
+        if (targetType) query['target.type'] = String(targetType);
+        if (targetId) query['target.id'] = String(targetId).trim();
+        if (actor) query['actor.email'] = { $regex: escapeRegex(String(actor).trim()), $options: 'i' };
+        if (action) {
+            const actionText = String(action).trim();
+            query.action = actionText.includes('.') ? actionText : { $regex: `^${escapeRegex(actionText)}\\.` };
+        }
+        if (from || to) {
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+                return res.status(400).json({ error: 'from and to must be valid dates.' });
+            }
+            query.createdAt = {};
+            if (fromDate) query.createdAt.$gte = fromDate;
+            if (toDate) query.createdAt.$lt = toDate;
+        }
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 25));
+        const [totalEntries, entries] = await Promise.all([
+            AuditLog.countDocuments(query),
+            AuditLog.find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v')
+                .lean()
+        ]);
+
+        res.json({
+            entries,
+            totalEntries,
+            totalPages: Math.ceil(totalEntries / limitNum),
+            currentPage: pageNum
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch the audit log.' });
+    }
+});
+
+// ============================================
+// CART
+// ============================================
+// A logged-in customer's saved cart, checked against the catalog each time it is read.
+app.get('/api/cart', userAuth, async (req, res) => {
+    try {
+        const cart = await Cart.findOne({ identifier: req.userIdentifier }).lean();
+        if (!cart) return res.json({ items: [], changes: [], subtotal: 0, updatedAt: null });
+        res.json(await saveCustomerCart(req.userIdentifier, cart.items));
+    } catch (error) {
+        console.error('Error fetching cart:', error);
+        res.status(500).json({ error: 'Failed to fetch cart' });
+    }
+});
+
+// Replaces the saved cart with the browser's.
+app.put('/api/cart', userAuth, async (req, res) => {
+    try {
+        const lines = normalizeCartLines(req.body.items);
+        if (!lines) return res.status(400).json({ error: `Cart items are malformed or there are more than ${MAX_CART_LINES} of them.` });
+
+        const saved = await Cart.findOne({ identifier: req.userIdentifier }).select('items').lean();
+        const savedPrices = new Map(((saved && saved.items) || []).map(line => [`${line.id}:${line.variantId || ''}`, line.price]));
+        lines.forEach(line => { line.price = savedPrices.get(`${line.id}:${line.variantId || ''}`) ?? null; });
+        res.json(await saveCustomerCart(req.userIdentifier, lines));
+    } catch (error) {
+        console.error('Error saving cart:', error);
+        res.status(500).json({ error: 'Failed to save cart' });
+    }
+});
+
+// Called right after logging in: folds the cart built while logged out into the saved one.
+app.post('/api/cart/merge', userAuth, async (req, res) => {
+    try {
+        const lines = normalizeCartLines(req.body.items);
+        if (!lines) return res.status(400).json({ error: `Cart items are malformed or there are more than ${MAX_CART_LINES} of them.` });
+
+        const saved = await Cart.findOne({ identifier: req.userIdentifier }).select('items').lean();
+        const merged = mergeCartLines((saved && saved.items) || [], lines).slice(0, MAX_CART_LINES);
+        res.json(await saveCustomerCart(req.userIdentifier, merged));
+    } catch (error) {
+        console.error('Error merging cart:', error);
+        res.status(500).json({ error: 'Failed to merge cart' });
+    }
+});
+
+app.delete('/api/cart', userAuth, async (req, res) => {
+    try {
+        await Cart.deleteOne({ identifier: req.userIdentifier });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error clearing cart:', error);
+        res.status(500).json({ error: 'Failed to clear cart' });
+    }
+});
+
+// The same check for a guest's cart, which lives only in their browser. Nothing is saved.
+app.post('/api/cart/check', async (req, res) => {
+    try {
+        const lines = normalizeCartLines(req.body.items);
+        if (!lines) return res.status(400).json({ error: `Cart items are malformed or there are more than ${MAX_CART_LINES} of them.` });
+        res.json({ ...(await revalidateCart(lines)), updatedAt: null });
+    } catch (error) {
+        console.error('Error checking cart:', error);
+        res.status(500).json({ error: 'Failed to check cart' });
+    }
+});
+
+// ============================================
+// WISHLIST
+// ============================================
+app.get('/api/wishlist', userAuth, async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOne({ identifier: req.userIdentifier }).lean();
+        res.json({ items: await describeWishlist(wishlist ? wishlist.items : []) });
+    } catch (error) {
+        console.error('Error fetching wishlist:', error);
+        res.status(500).json({ error: 'Failed to fetch wishlist' });
+    }
+});
+
+// Saves a product (and the pack size picked, if any). Saving it again moves it to the top.
+app.post('/api/wishlist', userAuth, async (req, res) => {
+    try {
+        const item = normalizeWishlistItem({ id: req.body.id, variantId: req.body.variantId });
+        if (!item) return res.status(400).json({ error: 'A valid product id is required.' });
+
+        const product = await Product.findOne({ legacyId: item.id }).select('variants').lean();
+        if (!product) return res.status(404).json({ error: 'Product not found.' });
+        if (item.variantId && !(product.variants || []).some(v => String(v._id) === item.variantId)) {
+            return res.status(400).json({ error: 'That pack size is no longer available.' });
+        }
+
+        const wishlist = await Wishlist.findOne({ identifier: req.userIdentifier }).lean();
+        const items = (wishlist ? wishlist.items : []).filter(saved => saved.id !== item.id);
+        if (items.length >= MAX_WISHLIST_ITEMS) {
+            return res.status(400).json({ error: `Your wishlist can hold up to ${MAX_WISHLIST_ITEMS} products. Remove some to save more.` });
+        }
+        const saved = await Wishlist.findOneAndUpdate(
+            { identifier: req.userIdentifier },
+            { $set: { items: [...items, item] } },
+            { upsert: true, new: true }
+        ).lean();
+        res.status(201).json({ items: await describeWishlist(saved.items) });
+    } catch (error) {
+        console.error('Error saving to wishlist:', error);
+        res.status(500).json({ error: 'Failed to save to wishlist' });
+    }
+});
+
+app.delete('/api/wishlist/:productId', userAuth, async (req, res) => {
+    try {
+        const productId = parseInt(req.params.productId);
+        if (!Number.isInteger(productId)) return res.status(400).json({ error: 'A valid product id is required.' });
+
+        const saved = await Wishlist.findOneAndUpdate(
+            { identifier: req.userIdentifier },
+            { $pull: { items: { id: productId } } },
+            { new: true }
+        ).lean();
+        res.json({ items: await describeWishlist(saved ? saved.items : []) });
+    } catch (error) {
+        console.error('Error removing from wishlist:', error);
+        res.status(500).json({ error: 'Failed to remove from wishlist' });
+    }
+});
+
+// Called right after logging in: adds the wishlist kept in the browser while logged out.
+app.post('/api/wishlist/merge', userAuth, async (req, res) => {
+    try {
+        const { items } = req.body;
+        if (!Array.isArray(items) || items.length > MAX_WISHLIST_ITEMS) {
+            return res.status(400).json({ error: `Up to ${MAX_WISHLIST_ITEMS} wishlist items are required.` });
+        }
+        const localItems = items.map(normalizeWishlistItem);
+        if (localItems.includes(null)) return res.status(400).json({ error: 'Wishlist items are malformed.' });
+
+        const wishlist = await Wishlist.findOne({ identifier: req.userIdentifier }).lean();
+        const saved = await Wishlist.findOneAndUpdate(
+            { identifier: req.userIdentifier },
+            { $set: { items: mergeWishlistItems(wishlist ? wishlist.items : [], localItems) } },
+            { upsert: true, new: true }
+        ).lean();
+        res.json({ items: await describeWishlist(saved.items) });
+    } catch (error) {
+        console.error('Error merging wishlist:', error);
+        res.status(500).json({ error: 'Failed to merge wishlist' });
+    }
+});
+
+// ============================================
+// ADDRESS BOOK
+// ============================================
+// The city and state(s) for a pincode, for checkout to fill in.
+app.get('/api/pincodes/:pincode', async (req, res) => {
+    const match = lookupPincode(req.params.pincode);
+    if (!match) return res.status(404).json({ error: 'We could not find that pincode. Please check it.' });
+    res.json(match);
+});
+
+// The default address first, then the most recently used.
+app.get('/api/addresses', userAuth, async (req, res) => {
+    try {
+        const addresses = await Address.find({ identifier: req.userIdentifier })
+            .sort({ isDefault: -1, updatedAt: -1 })
+            .select('-identifier -__v')
+            .lean();
+        res.json(addresses);
+    } catch (error) {
+        console.error('Error fetching addresses:', error);
+        res.status(500).json({ error: 'Failed to fetch addresses' });
+    }
+});
+
+// Saves a new address. The first one saved becomes the default.
+app.post('/api/addresses', userAuth, async (req, res) => {
+    try {
+        const count = await Address.countDocuments({ identifier: req.userIdentifier });
+        if (count >= MAX_SAVED_ADDRESSES) {
+            return res.status(400).json({ error: `You can save up to ${MAX_SAVED_ADDRESSES} addresses. Please delete one first.` });
+        }
+        const fields = readAddress(req.body);
+        const isDefault = count === 0 || req.body.isDefault === true;
+        const address = new Address({ ...fields, identifier: req.userIdentifier, isDefault });
+        await address.save();
+        if (isDefault) {
+            await Address.updateMany({ identifier: req.userIdentifier, _id: { $ne: address._id } }, { $set: { isDefault: false } });
+        }
+
+        const { identifier, __v, ...saved } = address.toObject();
+        res.status(201).json(saved);
+    } catch (error) {
+        if (error instanceof AddressError) return res.status(error.status).json({ error: error.message });
+        if (error.name === 'ValidationError') return res.status(400).json({ error: Object.values(error.errors)[0].message });
+        if (error.code === 11000) return res.status(409).json({ error: 'You already have an address with that name.' });
+        console.error('Error saving address:', error);
+        res.status(500).json({ error: 'Failed to save address' });
+    }
+});
+
+app.put('/api/addresses/:id', userAuth, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Address not found.' });
+        const address = await Address.findOneAndUpdate(
+            { _id: req.params.id, identifier: req.userIdentifier },
+            { $set: readAddress(req.body) },
             { new: true, runValidators: true }
-        ).select('-__v');
-        
-        if (!updatedProduct) {
-            return res.status(404).json({ error: 'Product not found.' });
+        ).select('-identifier -__v').lean();
+        if (!address) return res.status(404).json({ error: 'Address not found.' });
+        res.json(address);
+    } catch (error) {
+        if (error instanceof AddressError) return res.status(error.status).json({ error: error.message });
+        if (error.name === 'ValidationError') return res.status(400).json({ error: Object.values(error.errors)[0].message });
+        if (error.code === 11000) return res.status(409).json({ error: 'You already have an address with that name.' });
+        console.error('Error updating address:', error);
+        res.status(500).json({ error: 'Failed to update address' });
+    }
+});
+
+app.post('/api/addresses/:id/default', userAuth, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Address not found.' });
+        const exists = await Address.exists({ _id: req.params.id, identifier: req.userIdentifier });
+        if (!exists) return res.status(404).json({ error: 'Address not found.' });
+
+        await Address.updateMany({ identifier: req.userIdentifier, _id: { $ne: req.params.id } }, { $set: { isDefault: false } });
+        const address = await Address.findByIdAndUpdate(req.params.id, { $set: { isDefault: true } }, { new: true })
+            .select('-identifier -__v')
+            .lean();
+        res.json(address);
+    } catch (error) {
+        console.error('Error setting default address:', error);
+        res.status(500).json({ error: 'Failed to set default address' });
+    }
+});
+
+// Deleting the default address makes the most recently updated remaining one the default.
+app.delete('/api/addresses/:id', userAuth, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Address not found.' });
+        const address = await Address.findOneAndDelete({ _id: req.params.id, identifier: req.userIdentifier }).lean();
+        if (!address) return res.status(404).json({ error: 'Address not found.' });
+
+        if (address.isDefault) {
+            const next = await Address.findOne({ identifier: req.userIdentifier }).sort({ updatedAt: -1 }).select('_id').lean();
+            if (next) await Address.updateOne({ _id: next._id }, { $set: { isDefault: true } });
         }
-        
-        const productObj = updatedProduct.toObject();
-        productObj.id = productObj.legacyId;
-        delete productObj.legacyId;
-        
-        res.json(productObj);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting address:', error);
+        res.status(500).json({ error: 'Failed to delete address' });
+    }
+});
+
+// ============================================
+// COUPONS
+// ============================================
+app.post('/api/coupons/validate', strictLimiter, async (req, res) => {
+    try {
+        const { code, items, email, phone } = req.body;
+        if (!code) return res.status(400).json({ valid: false, error: 'Please enter a coupon code.' });
+        if (!isValidCartItems(items)) return res.status(400).json({ valid: false, error: 'Cart items are required.' });
+
+        const pricedCart = await priceCart(items);
+        if (!pricedCart) return res.status(409).json({ valid: false, error: 'Some items in your cart are no longer available.' });
+
+        const { coupon, description, discount } = await evaluateCoupon(code, pricedCart, { email, phone });
+        res.json({
+            valid: true,
+            code: coupon.code,
+            description,
+            discount,
+            subtotal: pricedCart.total,
+            total: roundMoney(pricedCart.total - discount)
+        });
+    } catch (error) {
+        if (error instanceof CouponError) {
+            return res.status(400).json({ valid: false, error: error.message });
+        }
+        console.error('Error validating coupon:', error);
+        res.status(500).json({ valid: false, error: 'Failed to validate coupon.' });
+    }
+});
+
+app.get('/api/admin/coupons', requireAdmin('view'), async (req, res) => {
+    try {
+        const coupons = await Coupon.find().sort({ createdAt: -1 }).select('-__v').lean();
+        res.json(coupons);
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({ error: 'Failed to fetch coupons.' });
+    }
+});
+
+app.post('/api/admin/coupons', requireAdmin('settings'), async (req, res) => {
+    try {
+        const { usedCount, ...couponData } = req.body;
+        const coupon = await new Coupon(couponData).save();
+        await recordAudit(req, { action: 'coupon.create', targetType: 'coupon', targetId: coupon._id, targetLabel: coupon.code, after: coupon.toObject() });
+        res.status(201).json(coupon.toObject({ versionKey: false }));
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A coupon with this code already exists.' });
+        }
+        console.error('Error creating coupon:', error);
+        res.status(400).json({ error: 'Failed to create coupon.', details: error.message });
+    }
+});
+
+app.put('/api/admin/coupons/:id', requireAdmin('settings'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Coupon not found.' });
+        // usedCount only changes when an order is placed.
+        const { usedCount, ...couponData } = req.body;
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) return res.status(404).json({ error: 'Coupon not found.' });
+        const before = coupon.toObject();
+        coupon.set(couponData);
+        await coupon.save();
+        await recordAudit(req, { action: 'coupon.update', targetType: 'coupon', targetId: coupon._id, targetLabel: coupon.code, before, after: coupon.toObject() });
+        res.json(coupon.toObject({ versionKey: false }));
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A coupon with this code already exists.' });
+        }
+        console.error('Error updating coupon:', error);
+        res.status(400).json({ error: 'Failed to update coupon.', details: error.message });
+    }
+});
+
+app.delete('/api/admin/coupons/:id', requireAdmin('settings'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Coupon not found.' });
+        const deletedCoupon = await Coupon.findByIdAndDelete(req.params.id).lean();
+        if (!deletedCoupon) return res.status(404).json({ error: 'Coupon not found.' });
+        await recordAudit(req, { action: 'coupon.delete', targetType: 'coupon', targetId: deletedCoupon._id, targetLabel: deletedCoupon.code, before: deletedCoupon });
+        res.json({ message: 'Coupon deleted successfully.' });
     } catch (error) {
-        console.error('Error updating product:', error);
-        res.status(400).json({ error: 'Failed to update product.', details: error.message });
+        console.error('Error deleting coupon:', error);
+        res.status(500).json({ error: 'Failed to delete coupon.' });
     }
 });
 
-app.delete('/api/products/:id', adminAuth, async (req, res) => {
+// ============================================
+// CATEGORIES
+// ============================================
+// The category tree for the storefront filters, menus and breadcrumbs.
+app.get('/api/categories', async (req, res) => {
     try {
-        const deletedProduct = await Product.findOneAndDelete({ legacyId: parseInt(req.params.id) });
-        if (!deletedProduct) return res.status(404).json({ error: 'Product not found.' });
-        res.status(200).json({ message: 'Product deleted successfully.' });
+        const { categories } = await loadCategories();
+        res.json(buildCategoryTree(categories));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to delete product.' });
+        console.error('Error fetching categories:', error);
+        res.status(500).json({ error: 'Failed to fetch categories.' });
     }
 });
 
-app.get('/api/comments/:productId', async (req, res) => {
+// Flat list for the admin dashboard, with each category's full path and how many products are filed under it.
+app.get('/api/admin/categories', requireAdmin('view'), async (req, res) => {
     try {
-        const { productId: legacyId } = req.params;
-        const sort = req.query.sort || 'newest';
-        const stars = req.query.stars;
-        
-        const query = { productId: parseInt(legacyId) };
-        if (stars) {
-            const starFilters = stars.split(',').map(Number).filter(n => n >= 1 && n <= 5);
-            if (starFilters.length > 0) {
-                query.rating = { $in: starFilters };
-            }
-        }
+        const [{ categories, categoriesById }, productCounts] = await Promise.all([
+            loadCategories(),
+            Product.aggregate([{ $unwind: '$categories' }, { $group: { _id: '$categories', count: { $sum: 1 } } }])
+        ]);
+        const countsById = new Map(productCounts.map(c => [String(c._id), c.count]));
+        res.json(categories.map(category => ({
+            ...category,
+            path: categoryPath(category._id, categoriesById).map(c => c.name).join(' › '),
+            productCount: countsById.get(String(category._id)) || 0
+        })));
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        res.status(500).json({ error: 'Failed to fetch categories.' });
+    }
+});
 
-        let sortOptions = { createdAt: -1 };
-        if (sort === 'oldest') sortOptions = { createdAt: 1 };
-        else if (sort === 'highest') sortOptions = { rating: -1, createdAt: -1 };
-        else if (sort === 'lowest') sortOptions = { rating: 1, createdAt: -1 };
+app.post('/api/admin/categories', requireAdmin('catalog'), async (req, res) => {
+    try {
+        const { name, slug, parent, order, image, description } = req.body;
+        const { categoriesById } = await loadCategories();
+        checkCategoryParent(null, parent, categoriesById);
 
-        const comments = await Comment.find(query)
-            .sort(sortOptions)
-            .select('-__v')
-            .limit(100)
-            .lean();
-        
-        res.json(comments);
+        const category = await new Category({
+            name,
+            slug: slug || slugify(name || ''),
+            parent: parent || null,
+            order,
+            image,
+            description
+        }).save();
+        await recordAudit(req, { action: 'category.create', targetType: 'category', targetId: category._id, targetLabel: category.name, after: category.toObject() });
+        res.status(201).json(category.toObject({ versionKey: false }));
     } catch (error) {
-        console.error('Error fetching comments:', error);
-        res.status(500).json({ message: 'Server error while fetching comments.' });
+        if (error instanceof CategoryError) return res.status(error.status).json({ error: error.message });
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A category with this name or slug already exists.' });
+        }
+        console.error('Error creating category:', error);
+        res.status(400).json({ error: 'Failed to create category.', details: error.message });
     }
 });
 
-app.post('/api/products/:id/reviews', strictLimiter, async (req, res) => {
-    const productId = req.params.id;
+app.put('/api/admin/categories/:id', requireAdmin('catalog'), async (req, res) => {
     try {
-        const product = await Product.findOne({ legacyId: parseInt(productId) });
-        if (!product) {
-            return res.status(404).json({ error: `Product with ID ${productId} not found.` });
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Category not found.' });
+        const category = await Category.findById(req.params.id);
+        if (!category) return res.status(404).json({ error: 'Category not found.' });
+
+        // Only the fields sent are changed. An empty slug is made from the name again.
+        const changes = {};
+        for (const field of ['name', 'slug', 'parent', 'order', 'image', 'description']) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+        if ('parent' in changes) {
+            const { categoriesById } = await loadCategories();
+            checkCategoryParent(category._id, changes.parent, categoriesById);
+            changes.parent = changes.parent || null;
         }
+        if ('slug' in changes && !changes.slug) changes.slug = slugify(changes.name || category.name);
 
-        const { user, rating, comment } = req.body;
-        if (!user || !rating || !comment || rating < 1 || rating > 5) {
-            return res.status(400).json({ error: 'Missing required review fields: user, rating, comment' });
+        const before = category.toObject();
+        const oldName = category.name;
+        const oldParent = category.parent ? String(category.parent) : null;
+        category.set(changes);
+        await category.save();
+
+        if (category.name !== oldName || String(category.parent || '') !== String(oldParent || '')) {
+            await refreshProductCategoryNames(category._id);
+        }
+        if (category.name !== oldName) {
+            await renameCategoryReferences(oldName, category.name);
+        }
+        await recordAudit(req, { action: 'category.update', targetType: 'category', targetId: category._id, targetLabel: category.name, before, after: category.toObject() });
+        res.json(category.toObject({ versionKey: false }));
+    } catch (error) {
+        if (error instanceof CategoryError) return res.status(error.status).json({ error: error.message });
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'A category with this name or slug already exists.' });
         }
+        console.error('Error updating category:', error);
+        res.status(400).json({ error: 'Failed to update category.', details: error.message });
+    }
+});
 
-        let isVerified = false;
-        const ordersWithProduct = await Order.find({ 
-            'items.id': product.legacyId 
-        }).select('user.firstname user.lastname').lean();
-        
-        if (ordersWithProduct.length > 0) {
-            const reviewerName = user.toLowerCase().trim();
-            isVerified = ordersWithProduct.some(order => {
-                const customerName = `${order.user.firstname || ''} ${order.user.lastname || ''}`.toLowerCase().trim();
-                return customerName.includes(reviewerName);
-            });
+app.delete('/api/admin/categories/:id', requireAdmin('catalog'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Category not found.' });
+        const [subcategories, products] = await Promise.all([
+            Category.countDocuments({ parent: req.params.id }),
+            Product.countDocuments({ categories: req.params.id })
+        ]);
+        if (subcategories > 0) {
+            return res.status(409).json({ error: 'Move or delete its subcategories first.' });
         }
+        if (products > 0) {
+            return res.status(409).json({ error: `${products} product(s) are still in this category. Move them to another category first.` });
+        }
+        const deletedCategory = await Category.findByIdAndDelete(req.params.id).lean();
+        if (!deletedCategory) return res.status(404).json({ error: 'Category not found.' });
+        await recordAudit(req, { action: 'category.delete', targetType: 'category', targetId: deletedCategory._id, targetLabel: deletedCategory.name, before: deletedCategory });
+        res.json({ message: 'Category deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting category:', error);
+        res.status(500).json({ error: 'Failed to delete category.' });
+    }
+});
 
-        const newComment = new Comment({
-            productId: product.legacyId,
-            username: user,
-            rating: parseInt(rating),
-            comment: comment,
-            verifiedPurchase: isVerified
-        });
-        await newComment.save();
+// ============================================
+// SHIPPING & GST
+// ============================================
+// Prices the cart with the coupon, shipping and GST, for the cart and checkout summaries.
+// An invalid coupon doesn't fail the quote; it is left out and reported in `couponError`.
+app.post('/api/checkout/quote', async (req, res) => {
+    try {
+        const { items, couponCode, state, zip, email, phone } = req.body;
+        if (!isValidCartItems(items)) return res.status(400).json({ error: 'Cart items are required.' });
 
-        const stats = await Comment.aggregate([
-            { $match: { productId: product.legacyId } },
-            { $group: { _id: '$productId', avgRating: { $avg: '$rating' }, count: { $sum: 1 } } }
-        ]);
+        const pricedCart = await priceCart(items);
+        if (!pricedCart) return res.status(409).json({ error: 'Some items in your cart are no longer available.' });
 
-        if (stats.length > 0) {
-            product.rating = Math.round(stats[0].avgRating * 10) / 10;
-            product.reviewsCount = stats[0].count;
-            await product.save();
+        let couponResult = null;
+        let couponError;
+        if (couponCode) {
+            try {
+                couponResult = await evaluateCoupon(couponCode, pricedCart, { email, phone });
+            } catch (error) {
+                if (!(error instanceof CouponError)) throw error;
+                couponError = error.message;
+            }
         }
+        const discount = couponResult ? couponResult.discount : 0;
+        const charges = await calculateCharges(pricedCart, { discount, state, zip });
 
-        res.status(201).json({
-            newComment,
-            newRating: product.rating,
-            newReviewsCount: product.reviewsCount
+        res.json({
+            subtotal: pricedCart.total,
+            discount,
+            coupon: couponResult ? { code: couponResult.coupon.code, description: couponResult.description } : null,
+            couponError,
+            ...charges
         });
     } catch (error) {
-        console.error('Error adding review to DB:', error);
-        res.status(500).json({ error: 'Failed to add review.' });
+        console.error('Error quoting checkout:', error);
+        res.status(500).json({ error: 'Failed to calculate order total.' });
+    }
+});
+
+app.get('/api/admin/config/charges', requireAdmin('view'), async (req, res) => {
+    try {
+        res.json(await getChargesConfig());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch shipping and GST config' });
+    }
+});
+
+app.put('/api/admin/config/charges', requireAdmin('settings'), async (req, res) => {
+    try {
+        const validationError = validateChargesConfig(req.body);
+        if (validationError) return res.status(400).json({ error: validationError });
+        const previous = await Config.findOneAndUpdate(
+            { key: 'chargesConfig' },
+            { value: req.body },
+            { upsert: true }
+        ).lean();
+        await recordAudit(req, { action: 'config.update', targetType: 'config', targetId: 'charges', targetLabel: 'Shipping & GST', before: previous && previous.value, after: req.body });
+        res.status(200).json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update shipping and GST config' });
     }
 });
 
 // Config Endpoints
-app.get('/api/admin/config/carousel', adminAuth, async (req, res) => {
+app.get('/api/admin/config/carousel', requireAdmin('view'), async (req, res) => {
     try {
         const config = await Config.findOne({ key: 'carouselProductIds' }).lean();
         res.json(config ? config.value : []);
@@ -530,21 +4972,22 @@ app.get('/api/admin/config/carousel', adminAuth, async (req, res) => {
     }
 });
 
-app.put('/api/admin/config/carousel', adminAuth, async (req, res) => {
+app.put('/api/admin/config/carousel', requireAdmin('catalog'), async (req, res) => {
     try {
         const { productIds } = req.body;
-        await Config.findOneAndUpdate(
+        const previous = await Config.findOneAndUpdate(
             { key: 'carouselProductIds' },
             { value: productIds },
-            { upsert: true, new: true }
-        );
+            { upsert: true }
+        ).lean();
+        await recordAudit(req, { action: 'config.update', targetType: 'config', targetId: 'carousel', targetLabel: 'Homepage carousel', before: { productIds: previous ? previous.value : [] }, after: { productIds } });
         res.status(200).json({ success: true });
     } catch (error) {
         res.status(500).json({ error: 'Failed to update carousel config' });
     }
 });
 
-app.get('/api/admin/config/top-picks', adminAuth, async (req, res) => {
+app.get('/api/admin/config/top-picks', requireAdmin('view'), async (req, res) => {
     try {
         const config = await Config.findOne({ key: 'topPicksProductIds' }).lean();
         res.json(config ? config.value : []);
@@ -553,14 +4996,15 @@ app.get('/api/admin/config/top-picks', adminAuth, async (req, res) => {
     }
 });
 
-app.put('/api/admin/config/top-picks', adminAuth, async (req, res) => {
+app.put('/api/admin/config/top-picks', requireAdmin('catalog'), async (req, res) => {
     try {
         const { productIds } = req.body;
-        await Config.findOneAndUpdate(
+        const previous = await Config.findOneAndUpdate(
             { key: 'topPicksProductIds' },
             { value: productIds },
-            { upsert: true, new: true }
-        );
+            { upsert: true }
+        ).lean();
+        await recordAudit(req, { action: 'config.update', targetType: 'config', targetId: 'top-picks', targetLabel: 'Top picks', before: { productIds: previous ? previous.value : [] }, after: { productIds } });
         res.status(200).json({ success: true });
     } catch (error) {
         res.status(500).json({ error: 'Failed to update top picks config' });
@@ -600,7 +5044,7 @@ app.get('/api/config/top-picks-products', async (req, res) => {
 });
 
 // Order Endpoints
-app.get('/api/admin/orders', adminAuth, async (req, res) => {
+app.get('/api/admin/orders', requireAdmin('view'), async (req, res) => {
     try {
         const { search, page = 1, limit = 10 } = req.query;
         let query = {};
@@ -630,7 +5074,7 @@ app.get('/api/admin/orders', adminAuth, async (req, res) => {
             .lean();
             
         res.json({
-            orders,
+            orders: orders.map(order => ({ ...order, nextStatuses: SHIPPING_STATUS_TRANSITIONS[order.shippingStatus] || [] })),
             totalPages,
             currentPage: pageNum
         });
@@ -640,7 +5084,7 @@ app.get('/api/admin/orders', adminAuth, async (req, res) => {
     }
 });
 
-app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
+app.get('/api/admin/orders/export', requireAdmin('view'), async (req, res) => {
     try {
         const { search } = req.query;
         const query = {};
@@ -661,10 +5105,10 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
             .lean();
 
         if (orders.length === 0) {
-            return res.status(404).send('No orders to export.');
+            return res.status(404).json({ error: 'No orders to export.' });
         }
 
-        const headers = ['OrderID', 'Date', 'CustomerName', 'Email', 'Phone', 'Address', 'Total', 'Items'];
+        const headers = ['OrderID', 'InvoiceNumber', 'Date', 'CustomerName', 'Email', 'Phone', 'Address', 'Total', 'Items'];
         
         const escapeCsvCell = (cell) => {
             if (cell === null || cell === undefined) return '';
@@ -679,7 +5123,7 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
 
         orders.forEach(order => {
             const row = [
-                order.orderId, new Date(order.date).toISOString(), `${order.user.firstname} ${order.user.lastname}`,
+                order.orderId, order.invoice ? order.invoice.number : '', new Date(order.date).toISOString(), `${order.user.firstname} ${order.user.lastname}`,
                 order.user.email, order.user.phone,
                 `${order.user.address1}${order.user.address2 ? `, ${order.user.address2}` : ''}, ${order.user.city}, ${order.user.state} ${order.user.zip}`,
                 order.total, order.items.map(item => `${item.quantity} x ${item.name}`).join('; ')
@@ -696,7 +5140,7 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
     }
 });
 
-app.get('/api/admin/dashboard-stats', adminAuth, async (req, res) => {
+app.get('/api/admin/dashboard-stats', requireAdmin('view'), async (req, res) => {
     try {
         const orderStats = await Order.aggregate([
             {
@@ -754,15 +5198,98 @@ app.get('/api/health', async (req, res) => {
     });
 });
 
+// Vercel's cron jobs send "Authorization: Bearer <CRON_SECRET>".
+function isCronRequest(req) {
+    const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET || ''}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    return !!process.env.CRON_SECRET && expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Sends queued emails that are due. On Vercel the cron job in vercel.json calls it once a day;
+// it also catches emails whose first attempt was cut off when the function that queued them was
+// suspended. The local server does this by itself.
+app.get('/api/cron/emails', async (req, res) => {
+    try {
+        if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+        const sent = await deliverQueuedEmails(EMAIL_BATCH_SIZE * 5);
+        res.json({ sent });
+    } catch (error) {
+        console.error('Error sending queued emails:', error);
+        res.status(500).json({ error: 'Failed to send queued emails.' });
+    }
+});
+
+// Deletes review photos that were uploaded but never posted with a review. Called daily by the cron
+// job in vercel.json; the local server does this by itself.
+app.get('/api/cron/review-photos', async (req, res) => {
+    try {
+        if (!isCronRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+        const deleted = await deleteUnusedReviewPhotos();
+        res.json({ deleted });
+    } catch (error) {
+        console.error('Error deleting unused review photos:', error);
+        res.status(500).json({ error: 'Failed to delete unused review photos.' });
+    }
+});
+
 app.post('/api/razorpay/create-order', strictLimiter, async (req, res) => {
     try {
-        const { total } = req.body;
-        if (!total) {
-            return res.status(400).json({ success: false, error: "Total amount is required."});
+        const { total, items, user, couponCode } = req.body;
+        if (!isValidCartItems(items)) {
+            return res.status(400).json({ success: false, error: "Cart items are required." });
+        }
+        // Catches pincode typos before payment; the order keeps the cleaned-up pincode and state.
+        if (user) {
+            try {
+                Object.assign(user, checkPincode(user.zip, user.state));
+            } catch (error) {
+                if (error instanceof AddressError) {
+                    return res.status(400).json({ success: false, error: error.message, addressError: true });
+                }
+                throw error;
+            }
+        }
+
+        const unavailableItems = await findUnavailableItems(items);
+        if (unavailableItems.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some items in your cart are no longer available in the requested quantity.',
+                unavailableItems
+            });
+        }
+
+        // The amount charged always comes from the catalog; the browser's total is only compared.
+        const pricedCart = await priceCart(items);
+        if (!pricedCart) {
+            return res.status(409).json({ success: false, error: 'Some items in your cart are no longer available.', unavailableItems: [] });
+        }
+        let couponResult = null;
+        if (couponCode) {
+            try {
+                couponResult = await evaluateCoupon(couponCode, pricedCart, user || {});
+            } catch (error) {
+                if (error instanceof CouponError) {
+                    return res.status(400).json({ success: false, error: error.message, couponError: true });
+                }
+                throw error;
+            }
+        }
+        const discount = couponResult ? couponResult.discount : 0;
+        const charges = await calculateCharges(pricedCart, { discount, state: user && user.state, zip: user && user.zip });
+        const payableTotal = charges.total;
+        // Razorpay can't take a payment under ₹1.
+        if (payableTotal < 1) {
+            return res.status(400).json({ success: false, error: 'The order total must be at least ₹1.' });
+        }
+
+        const clientTotal = parseFloat(total);
+        if (!isNaN(clientTotal) && roundMoney(clientTotal) !== payableTotal) {
+            console.warn(`Checkout total mismatch: client sent ${clientTotal}, server priced ${payableTotal}.`);
         }
 
         const options = {
-            amount: Math.round(total * 100),
+            amount: Math.round(payableTotal * 100),
             currency: "INR",
             receipt: `receipt_order_${new Date().getTime()}`,
         };
@@ -771,10 +5298,31 @@ app.post('/api/razorpay/create-order', strictLimiter, async (req, res) => {
         if (!razorpayOrder) {
             return res.status(500).send('Error creating Razorpay order');
         }
+
+        await Checkout.create({
+            razorpayOrderId: razorpayOrder.id,
+            items: pricedCart.items,
+            total: payableTotal,
+            subtotal: pricedCart.total,
+            discount,
+            coupon: couponResult ? couponResult.coupon : undefined,
+            shipping: charges.shipping,
+            shippingZone: charges.shippingZone,
+            tax: charges.tax,
+            amount: razorpayOrder.amount,
+            clientTotal: isNaN(clientTotal) ? undefined : clientTotal,
+            user
+        });
         
         res.status(200).json({
             success: true,
             order: razorpayOrder,
+            total: payableTotal,
+            subtotal: pricedCart.total,
+            discount,
+            shipping: charges.shipping,
+            tax: charges.tax,
+            items: pricedCart.items,
             key_id: process.env.RAZORPAY_KEY_ID
         });
     } catch (error) {
@@ -796,26 +5344,41 @@ app.post('/api/razorpay/capture', async (req, res) => {
         const digest = shasum.digest('hex');
 
         if (digest === razorpay_signature) {
-            const { user, items, total } = orderDetails;
-            const newOrder = new Order({
-                orderId: razorpay_order_id,
-                user,
-                items,
-                total,
-                paymentStatus: 'confirmed',
-                razorpay: {
-                    orderId: razorpay_order_id,
-                    paymentId: razorpay_payment_id,
-                    signature: razorpay_signature
+            // A retried capture, or one the webhook beat us to, answers from the saved order.
+            const existingOrder = await Order.findOne({ orderId: razorpay_order_id }).lean();
+            if (existingOrder) {
+                const { status, body } = captureResponse(existingOrder);
+                return res.status(status).json(body);
+            }
+
+            if (orderDetails.total !== undefined) {
+                const checkout = await Checkout.findOne({ razorpayOrderId: razorpay_order_id }).select('total').lean();
+                if (checkout && roundMoney(parseFloat(orderDetails.total)) !== checkout.total) {
+                    console.warn(`Order ${razorpay_order_id}: client total ${orderDetails.total} ignored, server total is ${checkout.total}.`);
                 }
+            }
+
+            const payment = await razorpay.payments.fetch(razorpay_payment_id);
+            const result = await reconcilePaidOrder(razorpay_order_id, payment, {
+                user: orderDetails.user,
+                signature: razorpay_signature
             });
-            await newOrder.save();
-            
-            res.json({
-                success: true,
-                message: 'Payment successful and order created',
-                orderId: newOrder.orderId
-            });
+
+            if (result.unknownCheckout) {
+                console.error(`Capture for unknown checkout: Razorpay order ${razorpay_order_id}, payment ${razorpay_payment_id}.`);
+                return res.status(400).json({ success: false, error: 'We could not match this payment to your checkout. Please contact support with your payment ID.' });
+            }
+            if (!result.order) {
+                // The webhook is saving this order right now.
+                return res.json({
+                    success: true,
+                    message: 'Payment successful and order created',
+                    orderId: razorpay_order_id
+                });
+            }
+
+            const { status, body } = captureResponse(result.order, result.failedItem);
+            res.status(status).json(body);
         } else {
             res.status(400).json({ success: false, error: 'Invalid signature' });
         }
@@ -825,21 +5388,81 @@ app.post('/api/razorpay/capture', async (req, res) => {
     }
 });
 
-app.post('/api/auth/check-email', async (req, res) => {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ error: 'Email is required.' });
-    res.json({ success: true });
+// Razorpay calls this for payments whose browser never reached /capture (closed tab, lost
+// network) and for refunds. Events are deduplicated by id and every handler is idempotent,
+// so replays and out-of-order deliveries never create a second order.
+app.post('/api/razorpay/webhook', async (req, res) => {
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+        console.error('Razorpay webhook received but RAZORPAY_WEBHOOK_SECRET is not set.');
+        return res.status(500).json({ error: 'Webhook not configured.' });
+    }
+
+    const signature = req.headers['x-razorpay-signature'];
+    if (!req.rawBody || !isValidWebhookSignature(req.rawBody, signature, webhookSecret)) {
+        return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const { event, payload } = req.body;
+    const eventId = req.headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    try {
+        await WebhookEvent.create({ eventId, event });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.json({ status: 'duplicate' });
+        }
+        console.error('Error recording Razorpay webhook event:', error);
+        return res.status(500).json({ error: 'Failed to record event.' });
+    }
+
+    try {
+        const handler = webhookHandlers[event];
+        if (!handler) {
+            return res.json({ status: 'ignored' });
+        }
+        await handler(payload || {});
+        res.json({ status: 'ok' });
+    } catch (error) {
+        console.error(`Error handling Razorpay webhook ${event} (${eventId}):`, error);
+        // Forget the event so Razorpay's retry gets processed.
+        await WebhookEvent.deleteOne({ eventId }).catch(() => {});
+        res.status(500).json({ error: 'Failed to process event.' });
+    }
+});
+
+// Customer login: a one-time code is sent to the email or phone number, and exchanging it for a
+// session token proves the customer owns it.
+app.post('/api/auth/request-code', loginLimiter, customerLoginAvailable, async (req, res) => {
+    try {
+        const login = normalizeLoginIdentifier(req.body.identifier);
+        if (!login) return res.status(400).json({ error: 'Please enter a valid email address or 10-digit mobile number.' });
+        await issueLoginCode(login);
+        res.json({ success: true, channel: login.kind, expiresInSeconds: LOGIN_CODE_TTL_MS / 1000 });
+    } catch (error) {
+        if (error instanceof LoginError) return res.status(error.status).json({ error: error.message });
+        console.error('Error issuing login code:', error);
+        res.status(500).json({ error: 'Failed to send the login code.' });
+    }
+});
+
+app.post('/api/auth/verify-code', loginLimiter, customerLoginAvailable, async (req, res) => {
+    try {
+        const login = normalizeLoginIdentifier(req.body.identifier);
+        if (!login) return res.status(400).json({ error: 'Please enter a valid email address or 10-digit mobile number.' });
+        await verifyLoginCode(login.identifier, req.body.code);
+        const { token, expiresAt } = signSessionToken(login.identifier);
+        res.json({ token, identifier: login.identifier, expiresAt });
+    } catch (error) {
+        if (error instanceof LoginError) return res.status(error.status).json({ error: error.message });
+        console.error('Error verifying login code:', error);
+        res.status(500).json({ error: 'Failed to verify the login code.' });
+    }
 });
 
 app.get('/api/my-orders', userAuth, async (req, res) => {
     try {
-        const identifier = req.userIdentifier;
-        const orders = await Order.find({
-            $or: [
-                { 'user.email': identifier },
-                { 'user.phone': identifier }
-            ]
-        })
+        const orders = await Order.find(customerOrdersFilter(req.userIdentifier))
             .sort({ date: -1 })
             .select('-__v')
             .lean();
@@ -856,6 +5479,7 @@ app.get('/api/my-orders', userAuth, async (req, res) => {
 
         const enrichedOrders = orders.map(order => ({
             ...order,
+            tracking: order.tracking && { ...order.tracking, url: carrierTrackingUrl(order.tracking) },
             items: order.items.map(item => ({
                 ...item,
                 image: productImages[item.id] || 'https://placehold.co/64x64'
@@ -869,37 +5493,356 @@ app.get('/api/my-orders', userAuth, async (req, res) => {
     }
 });
 
-app.put('/api/admin/orders/:orderId/status', adminAuth, async (req, res) => {
+app.post('/api/my-orders/:orderId/cancel', strictLimiter, userAuth, async (req, res) => {
     try {
-        const { orderId } = req.params;
-        const { status, trackingNumber, trackingCarrier } = req.body;
+        const order = await Order.findOne({
+            orderId: req.params.orderId,
+            ...customerOrdersFilter(req.userIdentifier)
+        });
+        if (!order) return res.status(404).json({ error: 'Order not found.' });
+
+        if (order.shippingStatus !== 'Pending') {
+            return res.status(409).json({ error: 'This order can no longer be cancelled because it has already been processed.' });
+        }
+        if (order.cancellationRequest && ['requested', 'approved'].includes(order.cancellationRequest.status)) {
+            return res.status(409).json({ error: 'A cancellation has already been requested for this order.' });
+        }
 
-        const updatePayload = {};
+        order.cancellationRequest = {
+            status: 'requested',
+            reason: (req.body.reason || '').toString().trim().slice(0, 500),
+            requestedAt: new Date()
+        };
+        await order.save();
+        res.json({ success: true, cancellationRequest: order.cancellationRequest });
+    } catch (error) {
+        console.error('Error requesting cancellation:', error);
+        res.status(500).json({ error: 'Failed to request cancellation.' });
+    }
+});
 
-        if (status) {
-            if (!Order.schema.path('shippingStatus').enumValues.includes(status)) {
-                return res.status(400).json({ error: 'Invalid status value.' });
-            }
-            updatePayload.shippingStatus = status;
+// Lets a guest follow one order, e.g. from its confirmation page, without logging in. The order id
+// alone isn't enough: the email or phone number it was placed with has to match too.
+app.post('/api/orders/track', strictLimiter, async (req, res) => {
+    try {
+        const orderId = typeof req.body.orderId === 'string' ? req.body.orderId.trim() : '';
+        const contact = normalizeLoginIdentifier(req.body.contact);
+        if (!orderId || !contact) {
+            return res.status(400).json({ error: 'Please enter your order ID and the email or phone number you ordered with.' });
         }
 
-        updatePayload['tracking.number'] = trackingNumber || '';
-        updatePayload['tracking.carrier'] = trackingCarrier || '';
+        const order = await Order.findOne({ orderId, ...customerOrdersFilter(contact.identifier) }).lean();
+        if (!order) {
+            return res.status(404).json({ error: 'We could not find an order with those details. Please check the order ID and the email or phone number.' });
+        }
 
-        const updatedOrder = await Order.findOneAndUpdate(
-            { orderId: orderId },
-            { $set: updatePayload },
-            { new: true }
-        ).select('-__v');
+        const products = await Product.find({ legacyId: { $in: order.items.map(i => i.id) } })
+            .select('legacyId images')
+            .lean();
+        const productImages = Object.fromEntries(products
+            .filter(p => p.images && p.images.length > 0)
+            .map(p => [p.legacyId, p.images[0]]));
+        res.json(describeOrderTracking(order, productImages));
+    } catch (error) {
+        console.error('Error tracking order:', error);
+        res.status(500).json({ error: 'Failed to look up the order.' });
+    }
+});
+
+app.get('/api/my-orders/:orderId/invoice', userAuth, async (req, res) => {
+    try {
+        const order = await Order.findOne({
+            orderId: req.params.orderId,
+            ...customerOrdersFilter(req.userIdentifier)
+        }).lean();
+        if (!order) return res.status(404).json({ error: 'Order not found.' });
+        if (!order.invoice) return res.status(404).json({ error: 'The invoice for this order is not available yet.' });
+        writeInvoicePdf(order, res);
+    } catch (error) {
+        console.error('Error downloading invoice:', error);
+        res.status(500).json({ error: 'Failed to download invoice.' });
+    }
+});
+
+// Changes the fulfilment status (with an optional note for the history) and/or the tracking
+// details. Fields that aren't sent are left as they are.
+app.put('/api/admin/orders/:orderId/status', requireAdmin('orders'), async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { status, note, trackingNumber, trackingCarrier, restock } = req.body;
 
-        if (!updatedOrder) return res.status(404).json({ error: 'Order not found.' });
-        res.json(updatedOrder);
+        const previousOrder = await Order.findOne({ orderId: orderId }).lean();
+        if (!previousOrder) return res.status(404).json({ error: 'Order not found.' });
+
+        const filter = { _id: previousOrder._id };
+        const update = { $set: {} };
+        let change = null;
+        if (status && status !== previousOrder.shippingStatus) {
+            assertShippingStatusChange(previousOrder.shippingStatus, status);
+            change = adminStatusChange(req, previousOrder.shippingStatus, status, note);
+            // Matching on the old status means two admins changing it at once can't both succeed.
+            filter.shippingStatus = previousOrder.shippingStatus;
+            update.$set.shippingStatus = status;
+            update.$push = { statusHistory: change };
+        }
+        if (trackingNumber !== undefined) update.$set['tracking.number'] = String(trackingNumber || '').trim();
+        if (trackingCarrier !== undefined) update.$set['tracking.carrier'] = String(trackingCarrier || '').trim();
+        if (Object.keys(update.$set).length === 0) {
+            return res.status(400).json({ error: 'Send a new status or tracking details.' });
+        }
+        let updatedOrder = await Order.findOneAndUpdate(filter, update, { new: true, runValidators: true }).select('-__v').lean();
+        if (!updatedOrder) {
+            return res.status(409).json({ error: 'This order was just changed by someone else. Please reload and try again.' });
+        }
+        // A cancelled or returned order is closed, so once the status change is ours whatever the
+        // customer paid that hasn't been refunded yet is refunded; `restock: false` keeps the items out
+        // of stock (e.g. a damaged return). If no refund was made, the status goes back so the admin
+        // can try again.
+        if (change && ['Cancelled', 'Returned'].includes(status)) {
+            const order = await Order.findById(updatedOrder._id);
+            const refundCount = order.refunds.length;
+            try {
+                await refundRemaining(order, { reason: change.note || `Order ${status.toLowerCase()}`, restock: restock !== false });
+            } catch (error) {
+                if (order.refunds.length === refundCount) {
+                    await Order.updateOne(
+                        { _id: order._id, shippingStatus: status },
+                        { $set: { shippingStatus: previousOrder.shippingStatus }, $pull: { statusHistory: { status, at: change.at } } }
+                    );
+                }
+                throw error;
+            }
+            updatedOrder = order.toObject({ versionKey: false });
+        }
+        await recordAudit(req, { action: 'order.status', targetType: 'order', targetId: orderId, before: orderAuditState(previousOrder), after: orderAuditState(updatedOrder), note: (change && change.note) || '' });
+        if (change) await notifyShippingStatus(updatedOrder);
+        res.json({ ...updatedOrder, nextStatuses: SHIPPING_STATUS_TRANSITIONS[updatedOrder.shippingStatus] || [] });
     } catch (error) {
+        if (error instanceof OrderStatusError || error instanceof RefundError) return res.status(error.status).json({ error: error.message });
+        if (error.name === 'ValidationError') return res.status(400).json({ error: Object.values(error.errors)[0].message });
         console.error('Error updating order status:', error);
         res.status(500).json({ error: 'Failed to update order status.' });
     }
 });
 
+app.get('/api/admin/orders/:orderId/invoice', requireAdmin('view'), async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderId: req.params.orderId }).lean();
+        if (!order) return res.status(404).json({ error: 'Order not found.' });
+        if (!order.invoice) return res.status(404).json({ error: 'No invoice has been issued for this order.' });
+        writeInvoicePdf(order, res);
+    } catch (error) {
+        console.error('Error downloading invoice:', error);
+        res.status(500).json({ error: 'Failed to download invoice.' });
+    }
+});
+
+// Issues the invoice for an order that doesn't have one, or rebuilds an existing one with its number.
+app.post('/api/admin/orders/:orderId/invoice', requireAdmin('orders'), async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderId: req.params.orderId });
+        if (!order) return res.status(404).json({ error: 'Order not found.' });
+        if (!order.razorpay || !order.razorpay.paymentId) {
+            return res.status(409).json({ error: 'Invoices can only be issued for paid orders.' });
+        }
+        const before = orderAuditState(order);
+        const invoice = await issueInvoice(order);
+        await recordAudit(req, { action: 'order.invoice', targetType: 'order', targetId: order.orderId, before, after: orderAuditState(order) });
+        res.json({ success: true, invoice: { number: invoice.number, date: invoice.date, generatedAt: invoice.generatedAt } });
+    } catch (error) {
+        console.error('Error generating invoice:', error);
+        res.status(500).json({ error: 'Failed to generate invoice.' });
+    }
+});
+
+app.post('/api/admin/orders/:orderId/refunds', requireAdmin('orders'), async (req, res) => {
+    try {
+        const { items, full, reason, restock } = req.body;
+        const order = await Order.findOne({ orderId: req.params.orderId });
+        if (!order) return res.status(404).json({ error: 'Order not found.' });
+
+        const before = orderAuditState(order);
+        await refundOrder(order, { items, full: !!full, reason, restock: !!restock });
+        await recordAudit(req, { action: 'order.refund', targetType: 'order', targetId: order.orderId, before, after: orderAuditState(order), note: reason || '' });
+        res.json(order.toObject({ versionKey: false }));
+    } catch (error) {
+        if (error instanceof RefundError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error refunding order:', error);
+        res.status(500).json({ error: 'Failed to refund order.', details: error.error ? error.error.description : error.message });
+    }
+});
+
+// Approving a customer's cancellation refunds whatever is left, restocks (if the order took stock)
+// and cancels the order.
+app.put('/api/admin/orders/:orderId/cancellation', requireAdmin('orders'), async (req, res) => {
+    try {
+        const { action } = req.body;
+        if (!['approve', 'decline'].includes(action)) {
+            return res.status(400).json({ error: 'Action must be "approve" or "decline".' });
+        }
+
+        const order = await Order.findOne({ orderId: req.params.orderId });
+        if (!order) return res.status(404).json({ error: 'Order not found.' });
+        if (!order.cancellationRequest || order.cancellationRequest.status !== 'requested') {
+            return res.status(409).json({ error: 'This order has no open cancellation request.' });
+        }
+
+        const before = orderAuditState(order);
+        // An order that has shipped since the request can't be cancelled any more; check before refunding.
+        const isCancelled = order.shippingStatus === 'Cancelled';
+        if (action === 'approve' && !isCancelled) assertShippingStatusChange(order.shippingStatus, 'Cancelled');
+        if (action === 'approve') {
+            await refundRemaining(order, { reason: 'Cancelled at customer request', restock: true });
+            if (!isCancelled) {
+                order.statusHistory.push(adminStatusChange(req, order.shippingStatus, 'Cancelled', 'Cancelled at customer request'));
+                order.shippingStatus = 'Cancelled';
+            }
+        }
+        order.cancellationRequest.status = action === 'approve' ? 'approved' : 'declined';
+        order.cancellationRequest.resolvedAt = new Date();
+        await order.save();
+        await recordAudit(req, { action: `order.cancellation_${action}`, targetType: 'order', targetId: order.orderId, before, after: orderAuditState(order) });
+
+        res.json(order.toObject({ versionKey: false }));
+    } catch (error) {
+        if (error instanceof RefundError || error instanceof OrderStatusError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error resolving cancellation request:', error);
+        res.status(500).json({ error: 'Failed to resolve cancellation request.' });
+    }
+});
+
+// ============================================
+// ENQUIRIES
+// ============================================
+// The contact form. `website` is a honeypot: it is hidden from people, so a value there means a bot
+// filled in the form, and it is answered like a real message without being saved.
+app.post('/api/contact', contactLimiter, async (req, res) => {
+    try {
+        const fields = validateEnquiry(req.body);
+        if (req.body.website) {
+            console.warn(`Contact form honeypot filled in from ${getClientIp(req)}; message dropped.`);
+            return res.status(201).json({ message: 'Thanks! We will get back to you soon.' });
+        }
+        const enquiry = await Enquiry.create(fields);
+        await notifyNewEnquiry(enquiry);
+        res.status(201).json({ message: 'Thanks! We will get back to you soon.' });
+    } catch (error) {
+        if (error instanceof EnquiryError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving enquiry:', error);
+        res.status(500).json({ error: 'Failed to send your message. Please try again.' });
+    }
+});
+
+// The inbox, newest first. `status` is open (the default), resolved, unread or all; `search` matches
+// the name, email, subject or linked order id.
+app.get('/api/admin/enquiries', requireAdmin('view'), async (req, res) => {
+    try {
+        const { status = 'open', search, page = 1, limit = 25 } = req.query;
+        const query = {};
+        if (ENQUIRY_STATUSES.includes(status)) query.status = status;
+        else if (status === 'unread') query.readAt = null;
+        else if (status !== 'all') return res.status(400).json({ error: 'status must be open, resolved, unread or all.' });
+        if (search) {
+            const pattern = { $regex: escapeRegex(String(search).trim()), $options: 'i' };
+            query.$or = [{ name: pattern }, { email: pattern }, { subject: pattern }, { orderId: pattern }];
+        }
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 25));
+        const [totalEnquiries, enquiries, open, resolved, unread] = await Promise.all([
+            Enquiry.countDocuments(query),
+            Enquiry.find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select('-__v')
+                .lean(),
+            Enquiry.countDocuments({ status: 'open' }),
+            Enquiry.countDocuments({ status: 'resolved' }),
+            Enquiry.countDocuments({ readAt: null })
+        ]);
+
+        res.json({
+            enquiries,
+            totalEnquiries,
+            totalPages: Math.ceil(totalEnquiries / limitNum),
+            currentPage: pageNum,
+            counts: { open, resolved, unread }
+        });
+    } catch (error) {
+        console.error('Error fetching enquiries:', error);
+        res.status(500).json({ error: 'Failed to fetch enquiries.' });
+    }
+});
+
+// Updates an enquiry: `read` (true or false), `status` (open or resolved) and `orderId` (the order it
+// is about, or null to unlink it).
+app.put('/api/admin/enquiries/:id', requireAdmin('orders'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Enquiry not found.' });
+        const enquiry = await Enquiry.findById(req.params.id);
+        if (!enquiry) return res.status(404).json({ error: 'Enquiry not found.' });
+        const { read, status, orderId } = req.body;
+        const before = enquiryAuditState(enquiry);
+
+        if (read !== undefined) enquiry.readAt = read ? (enquiry.readAt || new Date()) : null;
+        if (status !== undefined) {
+            if (!ENQUIRY_STATUSES.includes(status)) return res.status(400).json({ error: 'status must be open or resolved.' });
+            if (status !== enquiry.status) {
+                enquiry.status = status;
+                enquiry.resolvedAt = status === 'resolved' ? new Date() : null;
+                // Resolving an enquiry means it has been dealt with, so it has been read.
+                if (status === 'resolved' && !enquiry.readAt) enquiry.readAt = new Date();
+            }
+        }
+        if (orderId !== undefined) {
+            const orderIdText = orderId === null ? '' : String(orderId).trim();
+            if (orderIdText && !(await Order.exists({ orderId: orderIdText }))) {
+                return res.status(400).json({ error: `There is no order ${orderIdText}.` });
+            }
+            enquiry.orderId = orderIdText || null;
+        }
+        await enquiry.save();
+
+        const after = enquiryAuditState(enquiry);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            await recordAudit(req, { action: 'enquiry.update', targetType: 'enquiry', targetId: enquiry._id, targetLabel: enquiry.subject, before, after });
+        }
+        res.json(enquiry.toObject({ versionKey: false }));
+    } catch (error) {
+        console.error('Error updating enquiry:', error);
+        res.status(500).json({ error: 'Failed to update the enquiry.' });
+    }
+});
+
+// Adds a note to an enquiry, such as the reply that was sent. Also marks it read.
+app.post('/api/admin/enquiries/:id/notes', requireAdmin('orders'), async (req, res) => {
+    try {
+        const text = String(req.body.text || '').trim();
+        if (!text || text.length > ENQUIRY_NOTE_MAX_LENGTH) {
+            return res.status(400).json({ error: `A note must be between 1 and ${ENQUIRY_NOTE_MAX_LENGTH} characters.` });
+        }
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Enquiry not found.' });
+        const enquiry = await Enquiry.findById(req.params.id);
+        if (!enquiry) return res.status(404).json({ error: 'Enquiry not found.' });
+
+        enquiry.notes.push({ text, at: new Date(), by: { id: req.admin._id, email: req.admin.email, name: req.admin.name } });
+        if (!enquiry.readAt) enquiry.readAt = new Date();
+        await enquiry.save();
+        await recordAudit(req, { action: 'enquiry.note', targetType: 'enquiry', targetId: enquiry._id, targetLabel: enquiry.subject, note: text });
+        res.status(201).json(enquiry.toObject({ versionKey: false }));
+    } catch (error) {
+        console.error('Error adding enquiry note:', error);
+        res.status(500).json({ error: 'Failed to add the note.' });
+    }
+});
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -931,6 +5874,13 @@ if (process.env.NODE_ENV !== 'production') {
     const startLocalServer = async () => {
         try {
             await connectToDatabase();
+            // Retries emails that failed to send; on Vercel /api/cron/emails does this.
+            setInterval(() => {
+                deliverQueuedEmails().catch(error => console.error('Failed to send queued emails:', error));
+            }, 60 * 1000);
+            setInterval(() => {
+                deleteUnusedReviewPhotos().catch(error => console.error('Failed to delete unused review photos:', error));
+            }, 60 * 60 * 1000);
             
             app.listen(PORT, () => {
                 console.log('\n╔════════════════════════════════════════════════════════╗');
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findBlockedWord } = require('../lib/review-blocklist');
+
+test('holds reviews with blocked words and their listed inflections', () => {
+    assert.strictEqual(findBlockedWord('This is shit'), 'shit');
+    assert.strictEqual(findBlockedWord('Total BULLSHIT, do not buy'), 'bullshit');
+    assert.strictEqual(findBlockedWord('fucking awful'), 'fucking');
+    assert.strictEqual(findBlockedWord('worst ghee ever, casino!'), 'casino');
+    assert.strictEqual(findBlockedWord('nee   yamma'), 'nee yamma');
+});
+
+test('does not hold ordinary words and names that start with a blocked word', () => {
+    for (const text of [
+        'Shital loved this ghee',
+        'A laudable product',
+        'Kaminari ordered two jars',
+        'Retardant free packaging',
+        'Delivered to casinoroad quickly',
+        'Got dengue last month, this helped',
+        'Randi from Lund says it is great'
+    ]) {
+        assert.strictEqual(findBlockedWord(text), null, text);
+    }
+});
+
+test('matches Telugu and Hindi script words anywhere', () => {
+    assert.strictEqual(findBlockedWord('ఇది లంజకొడుకు పని'), 'లంజ');
+    assert.strictEqual(findBlockedWord('बिल्कुल हरामखोर'), 'हरामखोर');
+});